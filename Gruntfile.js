@@ -26,8 +26,12 @@ module.exports = function(grunt) {
 		    },
 		    stripBanners : true
 		},
-		src : [ 'src/services/config.js', 'src/services/authenticate.js', 'src/services/authorize.js',
-			'src/services/session.js', 'src/services/filters.js', 'src/services/subject.js',
+		src : [ 'src/services/config.js', 'src/services/authenticate.js', 'src/services/realm.js',
+			'src/services/parsers.js', 'src/services/authorize.js', 'src/services/session.js',
+			'src/services/filters.js', 'src/services/subject.js', 'src/services/interceptors.js', 'src/services/refresh.js',
+			'src/services/events.js', 'src/services/throttle.js', 'src/services/exceptions.js',
+			'src/services/expression.js', 'src/services/policies.js', 'src/services/trace.js',
+			'src/services/secure.js', 'src/services/states.js', 'src/services/routes.js',
 			'<%= build %>/<%= pkg.name %>.templates.js', 'src/directives/*.js', 'src/angular-shiro.js' ],
 		dest : '<%= dist %>/<%= pkg.name %>.js',
 	    },
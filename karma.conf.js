@@ -4,7 +4,8 @@ module.exports = function(config) {
 		frameworks : [ 'jasmine' ],
 
 		preprocessors : {
-			'src/directives/usernamePasswordForm.html' : [ 'ng-html2js' ]
+			'src/directives/usernamePasswordForm.html' : [ 'ng-html2js' ],
+			'src/directives/mfaChallengeForm.html' : [ 'ng-html2js' ]
 		},
 
 		ngHtml2JsPreprocessor : {
@@ -21,13 +22,27 @@ module.exports = function(config) {
 				'src/services/config.js',
 				'src/services/filters.js',
 				'src/services/authenticate.js',
+				'src/services/realm.js',
+				'src/services/parsers.js',
 				'src/services/authorize.js',
 				'src/services/session.js',
 				'src/services/subject.js',
+				'src/services/interceptors.js',
+				'src/services/refresh.js',
+				'src/services/events.js',
+				'src/services/throttle.js',
+				'src/services/exceptions.js',
+				'src/services/expression.js',
+				'src/services/policies.js',
+				'src/services/trace.js',
+				'src/services/secure.js',
+				'src/services/states.js',
+				'src/services/routes.js',
 
 				'src/directives/*.html', 
 				'src/directives/*.js',
 				'src/directives/usernamePasswordForm.html',
+				'src/directives/mfaChallengeForm.html',
 				'src/angular-shiro.js',
 
 				'test/directives/*Spec.js' 
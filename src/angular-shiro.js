@@ -2,31 +2,61 @@
 
 /*
  * globals AuthenticatorProvider, AngularShiroConfigProvider, Subject,
- * UsernamePasswordToken, Authorizer, AuthenticationResponseParser,
+ * UsernamePasswordToken, Authorizer, AuthenticationResponseParser, JwtResponseParser,
  * anonymousFilter, formAuthenticationFilter, logoutFilter, permsFilter,
  * rolesFilter, filtersResolver, hasRoleDirective, notAuthenticatedDirective,
  * authenticatedDirective, lacksRoleDirective, hasAnyRoleDirective,
  * hasPermissionDirective, lacksPermissionDirective, hasAnyPermissionDirective,
- * principalDirective, usernamePasswordFormDirective
+ * principalDirective, usernamePasswordFormDirective, mfaChallengeFormDirective, angularShiroHttpInterceptor,
+ * authRetryQueue, angularShiroAuthErrorInterceptor, tokenRefresher, responseParsers, angularShiroEvents,
+ * angularShiroEventBroadcaster, RolePermissionResolver, onFilter, PermissionResolver, shiroIfDirective,
+ * policyEngine, permittedByDirective, angularShiroTracer, stateGuard, routeGuard
  */
 
 var angularShiroServicesModule = angular.module('angularShiro.services', []);
 angularShiroServicesModule.provider('authenticator', AuthenticatorProvider);
-angularShiroServicesModule.provider('angularShiroConfig', AngularShiroConfigProvider);
+angularShiroServicesModule.provider('angularShiroConfig', [ '$provide', AngularShiroConfigProvider ]);
 
+angularShiroServicesModule.constant('angularShiroEvents', angularShiroEvents);
+angularShiroServicesModule.factory('angularShiroEventBroadcaster', angularShiroEventBroadcaster);
+angularShiroServicesModule.factory('policyEngine', policyEngine);
+angularShiroServicesModule.factory('angularShiroTracer', angularShiroTracer);
 angularShiroServicesModule.factory('subject', [ 'authenticator', 'authorizer', 'authenticationResponseParser',
-	function(authenticator, authorizer, authenticationResponseParser) {
-	    return new Subject(authenticator, authorizer, authenticationResponseParser);
+	'angularShiroConfig', 'angularShiroEventBroadcaster', '$q', 'policyEngine',
+	function(authenticator, authorizer, authenticationResponseParser, angularShiroConfig, eventBroadcaster, $q,
+		policyEngine) {
+	    var subject = new Subject(authenticator, authorizer, authenticationResponseParser, angularShiroConfig, $q,
+		    policyEngine);
+	    subject.addAuthenticationListener(eventBroadcaster);
+	    return subject;
 	} ]);
 angularShiroServicesModule.factory('usernamePasswordToken', function() {
     return new UsernamePasswordToken();
 });
-angularShiroServicesModule.factory('authorizer', function() {
-    return new Authorizer();
-});
+angularShiroServicesModule.factory('authorizer', [ 'angularShiroConfig', '$injector',
+	function(angularShiroConfig, $injector) {
+	    var rolePermissionResolver = new RolePermissionResolver(angularShiroConfig.roles.hierarchy,
+		    angularShiroConfig.roles.permissions);
+	    rolePermissionResolver.checkCycles();
+	    var permissionResolvers = [];
+	    angular.forEach(angularShiroConfig.permissionResolvers, function(resolver) {
+		if (angular.isString(resolver)) {
+		    resolver = $injector.get(resolver);
+		} else if (angular.isFunction(resolver) || angular.isArray(resolver)) {
+		    resolver = $injector.invoke(resolver);
+		}
+		permissionResolvers.push(resolver);
+	    });
+	    permissionResolvers.push(new PermissionResolver(angularShiroConfig.permissions));
+	    return new Authorizer(rolePermissionResolver, angularShiroConfig.instanceIdentifier, permissionResolvers);
+	} ]);
 angularShiroServicesModule.factory('authenticationResponseParser', function() {
     return new AuthenticationResponseParser();
 });
+angularShiroServicesModule.factory('jwtResponseParser', [ 'angularShiroConfig', function(angularShiroConfig) {
+    return new JwtResponseParser(angularShiroConfig.jwt);
+} ]);
+angularShiroServicesModule.factory('responseParsers', responseParsers);
 
 var filters = {
     'anon' : anonymousFilter,
@@ -40,6 +70,12 @@ for ( var filterName in filters) {
     angularShiroServicesModule.factory(filterName, filters[filterName]);
 }
 angularShiroServicesModule.factory('filtersResolver', filtersResolver);
+angularShiroServicesModule.factory('angularShiroHttpInterceptor', angularShiroHttpInterceptor);
+angularShiroServicesModule.factory('angularShiroAuthErrorInterceptor', angularShiroAuthErrorInterceptor);
+angularShiroServicesModule.factory('authRetryQueue', authRetryQueue);
+angularShiroServicesModule.factory('tokenRefresher', tokenRefresher);
+angularShiroServicesModule.factory('stateGuard', stateGuard);
+angularShiroServicesModule.factory('routeGuard', routeGuard);
 
 var directives = {
     'hasRole' : hasRoleDirective,
@@ -50,8 +86,11 @@ var directives = {
     'hasPermission' : hasPermissionDirective,
     'lacksPermission' : lacksPermissionDirective,
     'hasAnyPermission' : hasAnyPermissionDirective,
+    'shiroIf' : shiroIfDirective,
+    'permittedBy' : permittedByDirective,
     'principal' : principalDirective,
-    'usernamePasswordForm' : usernamePasswordFormDirective
+    'usernamePasswordForm' : usernamePasswordFormDirective,
+    'mfaChallengeForm' : mfaChallengeFormDirective
 };
 
 var moduleDirectives = angular.module('angularShiro.directives', []);
@@ -59,9 +98,24 @@ var moduleDirectives = angular.module('angularShiro.directives', []);
 for ( var key in directives) {
     moduleDirectives.directive(key, directives[key]);
 }
+moduleDirectives.filter('on', onFilter);
 
 angular.module('angularShiro', [ 'angularShiro.services', 'angularShiro.directives', 'angularShiro.templates']).run(
-	function($rootScope, $location, subject, angularShiroConfig, filtersResolver, $log) {
+	function($rootScope, $location, $injector, subject, angularShiroConfig, filtersResolver, $log, tokenRefresher,
+		stateGuard, routeGuard) {
+
+	    // the listeners are resolved once the Subject exists so that they may depend on it
+	    angular.forEach(angularShiroConfig.authenticationListeners, function(listener) {
+		if (angular.isString(listener)) {
+		    listener = $injector.get(listener);
+		} else if (angular.isFunction(listener) || angular.isArray(listener)) {
+		    listener = $injector.invoke(listener);
+		}
+		subject.addAuthenticationListener(listener);
+	    });
+
+	    stateGuard.install();
+	    routeGuard.install();
 
 	    var doFilter = function(filtersResolver, $location) {
 		var filters = filtersResolver.resolve($location.path());
@@ -96,6 +150,8 @@ angular.module('angularShiro', [ 'angularShiro.services', 'angularShiro.directiv
                         if (output !== false) {
                             output.then(function () {
                                 visitFilter();
+                            }, function () {
+                                $location.path(angularShiroConfig.login.path).replace();
                             });
                         } else {
                             //¼תϢϢ¼Session
@@ -15,7 +15,7 @@
  * @priority 600
  * 
  */
-var authenticatedDirective = [ 'subject','$animate', function(subject, $animate) {
+var authenticatedDirective = [ 'subject','$animate', 'angularShiroTracer', function(subject, $animate, tracer) {
 	return {
 		transclude: 'element',
 		priority: 600,
@@ -27,6 +27,7 @@ var authenticatedDirective = [ 'subject','$animate', function(subject, $animate)
 			$scope.$watch(function(){
             	return subject.authenticated;
             }, function () {
+				tracer.trace('authenticated', 'authenticated', subject.isAuthenticated());
 				if (subject.isAuthenticated()) {
 					if (!childScope) {
 					  childScope = $scope.$new();
@@ -19,7 +19,7 @@
  *                permissions (for example,
  *                `['newsletter:read','newsletter:edit']`)
  */
-var hasAnyPermissionDirective = [ 'subject', '$animate', function(subject, $animate) {
+var hasAnyPermissionDirective = [ 'subject', '$animate', 'angularShiroTracer', function(subject, $animate, tracer) {
     return {
 	transclude : 'element',
 	priority : 600,
@@ -28,13 +28,27 @@ var hasAnyPermissionDirective = [ 'subject', '$animate', function(subject, $anim
 	$$tlb : true,
 	link : function($scope, $element, $attr, ctrl, $transclude) {
 	    var block, childScope, previousElements;
+	    // null when the on filter gets an object without identifier
+	    var getPermissions = function() {
+		var permissions = $scope.$eval($attr.hasAnyPermission);
+		if (permissions === null) {
+		    return null;
+		}
+		permissions = permissions || $attr.hasAnyPermission;
+		return angular.isArray(permissions) ? permissions : [ permissions ];
+	    };
 	    $scope.$watch(function() {
-		return subject.authenticated;
-	    }, function() {
-		var permissions = $scope.$eval($attr.hasAnyPermission) || $attr.hasAnyPermission;
-		permissions = angular.isArray(permissions) ? permissions : [ permissions ];
+		var permissions = getPermissions();
+		if (permissions === null) {
+		    return false;
+		}
 		var results = subject.isPermitted(permissions);
-		if (angular.isArray(results) && results.indexOf(true) > -1) {
+		return angular.isArray(results) && results.indexOf(true) > -1;
+	    }, function(permitted) {
+		if (tracer.isEnabled()) {
+		    tracer.tracePermissions('has-any-permission', getPermissions() || [], permitted);
+		}
+		if (permitted) {
 		    if (!childScope) {
 			childScope = $scope.$new();
 			$transclude(childScope, function(clone) {
@@ -18,7 +18,7 @@
  *                array | expression} hasAnyRole the specified role names (for
  *                example, `'ADMIN'` or `['ADMIN','DEVELOPPER','GUEST']`)
  */
-var hasAnyRoleDirective = [ 'subject', '$animate', function(subject, $animate) {
+var hasAnyRoleDirective = [ 'subject', '$animate', 'angularShiroTracer', function(subject, $animate, tracer) {
     return {
 	transclude : 'element',
 	priority : 600,
@@ -27,12 +27,15 @@ var hasAnyRoleDirective = [ 'subject', '$animate', function(subject, $animate) {
 	$$tlb : true,
 	link : function($scope, $element, $attr, ctrl, $transclude) {
 	    var block, childScope, previousElements;
-	    $scope.$watch(function() {
-		return subject.authenticated;
-	    }, function() {
+	    var getRoles = function() {
 		var roles = $scope.$eval($attr.hasAnyRole) || $attr.hasAnyRole;
-		roles = angular.isArray(roles) ? roles : [ roles ];
-		if (subject.hasRoles(roles).indexOf(true) > -1) {
+		return angular.isArray(roles) ? roles : [ roles ];
+	    };
+	    $scope.$watch(function() {
+		return subject.hasRoles(getRoles()).indexOf(true) > -1;
+	    }, function(granted) {
+		tracer.trace('has-any-role', getRoles(), granted);
+		if (granted) {
 		    if (!childScope) {
 			childScope = $scope.$new();
 			$transclude(childScope, function(clone) {
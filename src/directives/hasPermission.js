@@ -14,6 +14,11 @@
  * Angular `$parse` service does not support `:` character so we replaced it by
  * the character `$`
  * 
+ * The permission may apply to a domain object with the `on` filter, for
+ * example `hasPermission="'document:edit' | on:doc"`; the content is displayed
+ * again when the object changes, and hidden while the object has no
+ * identifier.
+ * 
  * @element ANY
  * @scope
  * @priority 600
@@ -21,7 +26,7 @@
  *                expression} hasPermission the permission to check (for
  *                example, `newletter$edit`)
  */
-var hasPermissionDirective = [ 'subject', '$animate', function(subject, $animate) {
+var hasPermissionDirective = [ 'subject', '$animate', 'angularShiroTracer', function(subject, $animate, tracer) {
     return {
 	transclude : 'element',
 	priority : 600,
@@ -30,11 +35,19 @@ var hasPermissionDirective = [ 'subject', '$animate', function(subject, $animate
 	$$tlb : true,
 	link : function($scope, $element, $attr, ctrl, $transclude) {
 	    var block, childScope, previousElements;
+	    // null when the on filter gets an object without identifier
+	    var getPermission = function() {
+		var permission = $scope.$eval($attr.hasPermission);
+		return (permission === null) ? null : permission || $attr.hasPermission;
+	    };
 	    $scope.$watch(function() {
-		return subject.authenticated;
-	    }, function(permission) {
-		permission = $scope.$eval($attr.hasPermission) || $attr.hasPermission;
-		if (subject.isPermitted(permission)) {
+		var permission = getPermission();
+		return permission !== null && subject.isPermitted(permission);
+	    }, function(permitted) {
+		if (tracer.isEnabled()) {
+		    tracer.tracePermissions('has-permission', getPermission(), permitted);
+		}
+		if (permitted) {
 		    if (!childScope) {
 			childScope = $scope.$new();
 			$transclude(childScope, function(clone) {
@@ -17,7 +17,7 @@
  *            hasRole the role to check (for example, `ADMIN`)
  * 
  */
-var hasRoleDirective = [ 'subject','$animate', function(subject, $animate) {
+var hasRoleDirective = [ 'subject','$animate', 'angularShiroTracer', function(subject, $animate, tracer) {
 	return {
 		transclude: 'element',
 		priority: 600,
@@ -27,10 +27,10 @@ var hasRoleDirective = [ 'subject','$animate', function(subject, $animate) {
 		link: function ($scope, $element, $attr, ctrl, $transclude) {
 	        var block, childScope, previousElements;
 			$scope.$watch(function(){
-            	return subject.authenticated;
-            }, function hasRoleWatchAction() {
-				var role = $attr.hasRole;
-				if (subject.hasRole(role)) {
+            	return subject.hasRole($attr.hasRole);
+            }, function hasRoleWatchAction(granted) {
+				tracer.trace('has-role', $attr.hasRole, granted);
+				if (granted) {
 					if (!childScope) {
 					  childScope = $scope.$new();
 					  $transclude(childScope, function (clone) {
@@ -13,6 +13,10 @@
  * Angular `$parse` service does not support `:` character so we replaced it by
  * the character `$`
  * 
+ * The permission may apply to a domain object with the `on` filter, for
+ * example `lacksPermission="'document:edit' | on:doc"`; the content is
+ * displayed while the object has no identifier.
+ * 
  * @element ANY
  * @scope
  * @priority 600
@@ -20,7 +24,7 @@
  *                expression} lacksPermission the permission to check (for
  *                example, `newletter$edit`)
  */
-var lacksPermissionDirective = [ 'subject', '$animate', function(subject, $animate) {
+var lacksPermissionDirective = [ 'subject', '$animate', 'angularShiroTracer', function(subject, $animate, tracer) {
     return {
 	transclude : 'element',
 	priority : 600,
@@ -29,11 +33,19 @@ var lacksPermissionDirective = [ 'subject', '$animate', function(subject, $anima
 	$$tlb : true,
 	link : function($scope, $element, $attr, ctrl, $transclude) {
 	    var block, childScope, previousElements;
+	    // null when the on filter gets an object without identifier
+	    var getPermission = function() {
+		var permission = $scope.$eval($attr.lacksPermission);
+		return (permission === null) ? null : permission || $attr.lacksPermission;
+	    };
 	    $scope.$watch(function() {
-		return subject.authenticated;
-	    }, function() {
-		var permission = $scope.$eval($attr.lacksPermission) || $attr.lacksPermission;
-		if (!subject.isPermitted(permission)) {
+		var permission = getPermission();
+		return permission !== null && subject.isPermitted(permission);
+	    }, function(permitted) {
+		if (tracer.isEnabled()) {
+		    tracer.trace('lacks-permission', getPermission(), !permitted);
+		}
+		if (!permitted) {
 		    if (!childScope) {
 			childScope = $scope.$new();
 			$transclude(childScope, function(clone) {
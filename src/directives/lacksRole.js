@@ -17,7 +17,7 @@
  *            expression} lacksRole the excluded role (for example, `ADMIN`)
  * 
  */
-var lacksRoleDirective = [ 'subject', '$animate', function(subject, $animate) {
+var lacksRoleDirective = [ 'subject', '$animate', 'angularShiroTracer', function(subject, $animate, tracer) {
 	return {
 		transclude : 'element',
 		priority : 600,
@@ -27,10 +27,10 @@ var lacksRoleDirective = [ 'subject', '$animate', function(subject, $animate) {
 		link : function($scope, $element, $attr, ctrl, $transclude) {
 			var block, childScope, previousElements;
 			$scope.$watch(function() {
-				return subject.authenticated;
-			}, function() {
-				var role = $attr.lacksRole;
-				if (!subject.hasRole(role)) {
+				return !subject.hasRole($attr.lacksRole);
+			}, function(granted) {
+				tracer.trace('lacks-role', $attr.lacksRole, granted);
+				if (granted) {
 					if (!childScope) {
 						childScope = $scope.$new();
 						$transclude(childScope, function(clone) {
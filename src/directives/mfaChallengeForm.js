@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * @ngdoc directive
+ * @name angularShiro.directives.mfaChallengeForm
+ * @restrict E
+ * 
+ * @description The <code>mfaChallengeForm</code> directive will display a
+ *              simple form to enter the code answering the second factor
+ *              challenge pending since the last login attempt (see
+ *              `Subject#completeChallenge`).
+ * 
+ * Form markup is based on latest
+ * {@link http://getbootstrap.com/css/#forms Bootstrap form documentation}
+ * 
+ *  # Default labels
+ * 
+ * <pre>
+ * {
+ * 	'challenge.totp.message' : 'Enter the code displayed by your authenticator application',
+ * 	'challenge.sms.message' : 'Enter the code sent by SMS to',
+ * 	'challenge.email.message' : 'Enter the code sent by email to',
+ * 	'challenge.default.message' : 'Enter your verification code',
+ * 	'field.code.placeholder' : 'Code',
+ * 	'button.submit.label' : 'Verify',
+ * 	'challenge.denied.message' : 'The code is not valid'
+ * }
+ * </pre>
+ * 
+ * @element ANY
+ * @scope
+ * @priority 600
+ * 
+ * @param {object=}
+ *            labels custom labels
+ * @param {expression=}
+ *            onSuccess Expression to evaluate upon successful authentication
+ * @param {expression=}
+ *            onError Expression to evaluate when the code is rejected
+ * 
+ * @example <example module="angularShiro"> <file name="index.html"> <div
+ *          ng-controller="Ctrl"> <username-password-form
+ *          ng-if="!subject.isChallenged()"></username-password-form>
+ *          <mfa-challenge-form ng-if="subject.isChallenged()"
+ *          on-success="welcome()"></mfa-challenge-form> </div> </file> <file
+ *          name="app.js"> function Ctrl($scope, subject) {
+ * 
+ * $scope.subject = subject; } </file> </example>
+ */
+var mfaChallengeFormDirective = [ 'subject', function(subject) {
+	var labels = {
+		'challenge.totp.message' : 'Enter the code displayed by your authenticator application',
+		'challenge.sms.message' : 'Enter the code sent by SMS to',
+		'challenge.email.message' : 'Enter the code sent by email to',
+		'challenge.default.message' : 'Enter your verification code',
+		'field.code.placeholder' : 'Code',
+		'button.submit.label' : 'Verify',
+		'challenge.denied.message' : 'The code is not valid'
+	};
+	return {
+		restrict : 'E',
+		replace : true,
+		templateUrl : 'templates/mfaChallengeForm.html',
+		scope : {
+			onSuccess : '&',
+			onError : '&'
+		},
+		link : function($scope, $element, $attr) {
+			$scope.error = false;
+			$scope.model = {
+				code : null
+			};
+			$scope.challenge = subject.getChallenge();
+
+			if (angular.isDefined($attr.labels)) {
+				$scope.labels = angular.extend({}, labels, angular.fromJson($attr.labels));
+			} else {
+				$scope.labels = labels;
+			}
+
+			$scope.getMessage = function() {
+				var type = ($scope.challenge && $scope.challenge.type) || 'default';
+				return $scope.labels['challenge.' + type + '.message'] || $scope.labels['challenge.default.message'];
+			};
+
+			$scope.$watch('model.code', function(value) {
+				$scope.error = false;
+			});
+
+			$scope.submit = function() {
+				subject.completeChallenge($scope.model.code).then(function(data) {
+					$scope.challenge = subject.getChallenge();
+					if (angular.isDefined($scope.onSuccess)) {
+						$scope.onSuccess({
+							data : data
+						});
+					}
+					$scope.model.code = null;
+				}, function(data) {
+					$scope.error = true;
+					if (angular.isDefined($scope.onError)) {
+						$scope.onError({
+							data : data
+						});
+					}
+				});
+			};
+		}
+	};
+} ];
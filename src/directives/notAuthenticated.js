@@ -17,7 +17,7 @@
  * @priority 600
  * 
  */
-var notAuthenticatedDirective = [ 'subject','$animate', function(subject, $animate) {
+var notAuthenticatedDirective = [ 'subject','$animate', 'angularShiroTracer', function(subject, $animate, tracer) {
 	return {
 		transclude: 'element',
 		priority: 600,
@@ -30,6 +30,7 @@ var notAuthenticatedDirective = [ 'subject','$animate', function(subject, $anima
 			$scope.$watch(function(){
             	return subject.authenticated;
             }, function () {
+				tracer.trace('not-authenticated', 'guest', !subject.isAuthenticated());
 				if (!subject.isAuthenticated()) {
 					if (!childScope) {
 					  childScope = $scope.$new();
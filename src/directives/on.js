@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * @ngdoc filter
+ * @name angularShiro.directives.on
+ *
+ * @description Applies a permission template to a domain object : the
+ *              identifier of the object (see
+ *              `angularShiroConfigProvider.setInstanceIdentifier(identifier)`)
+ *              is appended to the permission as its instance part
+ *
+ * <pre>
+ * <button has-permission="'document:edit' | on:doc">Edit</button>
+ * </pre>
+ *
+ * While the object is not available (or has no identifier) the filter
+ * returns `null` and the permission is not granted.
+ *
+ * @param {string}
+ *                permission the permission template (for example,
+ *                `document:edit`)
+ * @param {*}
+ *                instance the domain object, or its identifier
+ * @return {string} the instance permission (for example,
+ *         `document:edit:42`)
+ */
+var onFilter = [ 'authorizer', function(authorizer) {
+    return function(permission, instance) {
+	if (!angular.isDefined(instance) || instance === null) {
+	    return null;
+	}
+	if (angular.isArray(permission)) {
+	    var permissions = [];
+	    angular.forEach(permission, function(p) {
+		permissions.push(authorizer.resolveInstancePermission(p, instance));
+	    });
+	    return permissions;
+	}
+	return authorizer.resolveInstancePermission(permission, instance);
+    };
+} ];
@@ -0,0 +1,78 @@
+'use strict';
+
+/*globals getBlockElements*/
+
+/**
+ * @ngdoc directive
+ * @name angularShiro.directives.permittedBy
+ * @restrict A
+ * 
+ * @description Display its content only if the named access control policy
+ *              grants the current `Subject` the access to the resource (see
+ *              `Subject.isPermittedBy(policy, resource)`), for example :
+ * 
+ * <pre>
+ * <button permitted-by="canApproveExpense" resource="expense">Approve</button>
+ * </pre>
+ * 
+ * The policy is evaluated again when the resource or the authorization of the
+ * `Subject` changes; the content stays hidden while the resource is not
+ * available.
+ * 
+ * @element ANY
+ * @scope
+ * @priority 600
+ * @param {string}
+ *                permittedBy the policy name
+ * @param {expression=}
+ *                resource the resource the access is requested to
+ */
+var permittedByDirective = [ 'subject', '$animate', 'angularShiroTracer', function(subject, $animate, tracer) {
+    return {
+	transclude : 'element',
+	priority : 600,
+	terminal : true,
+	restrict : 'A',
+	$$tlb : true,
+	link : function($scope, $element, $attr, ctrl, $transclude) {
+	    var block, childScope, previousElements;
+	    $scope.$watch(function() {
+		var resource = $scope.$eval($attr.resource);
+		if ($attr.resource && (!angular.isDefined(resource) || resource === null)) {
+		    // the resource is not loaded yet
+		    return false;
+		}
+		return subject.isPermittedBy($attr.permittedBy, resource);
+	    }, function(value) {
+		tracer.trace('permitted-by', $attr.permittedBy, value);
+		if (value) {
+		    if (!childScope) {
+			childScope = $scope.$new();
+			$transclude(childScope, function(clone) {
+			    block = {
+				clone : clone
+			    };
+			    $animate.enter(clone, $element.parent(), $element);
+			});
+		    }
+		} else {
+		    if (previousElements) {
+			previousElements.remove();
+			previousElements = null;
+		    }
+		    if (childScope) {
+			childScope.$destroy();
+			childScope = null;
+		    }
+		    if (block) {
+			previousElements = getBlockElements(block.clone);
+			$animate.leave(previousElements, function() {
+			    previousElements = null;
+			});
+			block = null;
+		    }
+		}
+	    });
+	}
+    };
+} ];
\ No newline at end of file
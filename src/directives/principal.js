@@ -11,12 +11,25 @@
  * If no property attribute is specified the directive will 
  * render the `angular.toJson(principal)` value.
  * 
+ * When the `previous` attribute is specified the directive renders the
+ * identity the `Subject` had before running as its current one (see
+ * `Subject.runAs(principals)`), and nothing otherwise :
+ * 
+ * <pre>
+ * <principal property="login"></principal>
+ * <span ng-if="subject.isRunAs()">
+ *     impersonated by <principal property="login" previous></principal>
+ * </span>
+ * </pre>
+ * 
  * @element ANY
  * @scope
  * @priority 600
  * 
  * @param {string=}
  *            property a property name of the `principal` object
+ * @param {boolean=}
+ *            previous renders the identity preceding the run as identity
  * 
  * @example 
 <example module="angularShiro"> 
@@ -70,7 +83,7 @@ var principalDirective = [ 'subject', function(subject) {
 		template : '<span class="principal" ng-bind="getPrincipal()"></span>',
 		link : function(scope, element, attr) {
 			scope.getPrincipal = function() {
-				var text = subject.getPrincipal();
+				var text = angular.isDefined(attr.previous) ? subject.getPreviousPrincipals() : subject.getPrincipal();
 				if (angular.isObject(text)) {
 					if (attr.property && angular.isDefined(text[attr.property])) {
 						text = text[attr.property];
@@ -0,0 +1,72 @@
+'use strict';
+
+/*globals getBlockElements*/
+
+/**
+ * @ngdoc directive
+ * @name angularShiro.directives.shiroIf
+ * @restrict A
+ * 
+ * @description Display its content only if the authorization expression is
+ *              `true` for the current `Subject`, for example :
+ * 
+ * <pre>
+ * <a href="/reports" shiro-if="authenticated && (hasRole('ADMIN') || isPermitted('report:view')) && !hasRole('SUSPENDED')">Reports</a>
+ * </pre>
+ * 
+ * The expression is not an Angular expression : it is compiled by
+ * `Subject.evaluate(expression)` (see
+ * {@link angularShiro.services.AuthorizationExpressionParser AuthorizationExpressionParser}
+ * for the supported checks) and re-evaluated when the authorization of the
+ * `Subject` changes.
+ * 
+ * @element ANY
+ * @scope
+ * @priority 600
+ * @param {string}
+ *                shiroIf the authorization expression
+ */
+var shiroIfDirective = [ 'subject', '$animate', 'angularShiroTracer', function(subject, $animate, tracer) {
+    return {
+	transclude : 'element',
+	priority : 600,
+	terminal : true,
+	restrict : 'A',
+	$$tlb : true,
+	link : function($scope, $element, $attr, ctrl, $transclude) {
+	    var block, childScope, previousElements;
+	    $scope.$watch(function() {
+		return subject.evaluate($attr.shiroIf);
+	    }, function(value) {
+		tracer.trace('shiro-if', $attr.shiroIf, value);
+		if (value) {
+		    if (!childScope) {
+			childScope = $scope.$new();
+			$transclude(childScope, function(clone) {
+			    block = {
+				clone : clone
+			    };
+			    $animate.enter(clone, $element.parent(), $element);
+			});
+		    }
+		} else {
+		    if (previousElements) {
+			previousElements.remove();
+			previousElements = null;
+		    }
+		    if (childScope) {
+			childScope.$destroy();
+			childScope = null;
+		    }
+		    if (block) {
+			previousElements = getBlockElements(block.clone);
+			$animate.leave(previousElements, function() {
+			    previousElements = null;
+			});
+			block = null;
+		    }
+		}
+	    });
+	}
+    };
+} ];
\ No newline at end of file
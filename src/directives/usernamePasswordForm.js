@@ -20,10 +20,30 @@
  * 	'field.username.placeholder' : 'username',
  * 	'field.password.placeholder' : 'password',
  * 	'button.submit.label' : 'Connection',
- * 	'connection.denied.message' : 'Username and password do not match'
+ * 	'connection.denied.message' : 'Username and password do not match',
+ * 	'connection.throttled.message' : 'Too many failed attempts, try again in {seconds}s',
+ * 	'exception.AuthenticationException' : 'Unable to log in, please try again later',
+ * 	'exception.LockedAccountException' : 'This account is locked',
+ * 	'exception.DisabledAccountException' : 'This account is disabled',
+ * 	'exception.ExcessiveAttemptsException' : 'Too many failed attempts, please try again later',
+ * 	'exception.ExpiredCredentialsException' : 'Your password has expired'
  * }
  * </pre>
  * 
+ * # Errors
+ * 
+ * On failure the label `exception.<name>` of the
+ * {@link angularShiro.services.AuthenticationException AuthenticationException}
+ * rejecting the login is displayed, `connection.denied.message` when there is
+ * none.
+ * 
+ * # Throttling
+ * 
+ * When the login attempts are throttled (see
+ * `angularShiroConfigProvider.setThrottleOptions(options)`) the form counts
+ * down the seconds the user has to wait and disables the submit button
+ * meanwhile.
+ * 
  * 
  * 
  * @element ANY
@@ -49,14 +69,21 @@
  * </example>
  */
 var usernamePasswordFormDirective = [
+		'$interval',
 		'subject',
 		'usernamePasswordToken',
-		function(subject, token) {
+		function($interval, subject, token) {
 			var labels = {
 				'field.username.placeholder' : 'Username',
 				'field.password.placeholder' : 'Password',
 				'button.submit.label' : 'Connection',
-				'connection.denied.message' : 'Username and password do not match'
+				'connection.denied.message' : 'Username and password do not match',
+				'connection.throttled.message' : 'Too many failed attempts, try again in {seconds}s',
+				'exception.AuthenticationException' : 'Unable to log in, please try again later',
+				'exception.LockedAccountException' : 'This account is locked',
+				'exception.DisabledAccountException' : 'This account is disabled',
+				'exception.ExcessiveAttemptsException' : 'Too many failed attempts, please try again later',
+				'exception.ExpiredCredentialsException' : 'Your password has expired'
 			};
 			return {
 				restrict : 'E',
@@ -68,7 +95,25 @@ var usernamePasswordFormDirective = [
 				},
 				link : function($scope, $element, $attr) {
 					$scope.error = false;
+					$scope.errorMessage = null;
+					$scope.remaining = 0;
 					$scope.token = token;
+					var countdown = null;
+
+					var updateRemaining = function() {
+						$scope.remaining = subject.getLoginWaitTime(token.getPrincipal());
+						if ($scope.remaining > 0 && countdown === null) {
+							countdown = $interval(updateRemaining, 1000);
+						} else if ($scope.remaining === 0 && countdown !== null) {
+							$interval.cancel(countdown);
+							countdown = null;
+						}
+					};
+
+					$scope.getThrottledMessage = function() {
+						return $scope.labels['connection.throttled.message'].replace('{seconds}',
+								$scope.remaining);
+					};
 
 					if (angular.isDefined($attr.labels)) {
 						$scope.labels = angular.extend(labels, angular
@@ -79,6 +124,7 @@ var usernamePasswordFormDirective = [
 
 					$scope.$watch('token.getPrincipal()', function(value) {
 						$scope.error = false;
+						updateRemaining();
 					});
 
 					$scope.$watch('token.getCredentials()', function(value) {
@@ -94,7 +140,11 @@ var usernamePasswordFormDirective = [
 							}
 							token.username = token.password = null;
 						}, function(data) {
-							$scope.error = true;
+							updateRemaining();
+							var name = (angular.isObject(data)) ? data.name : null;
+							$scope.error = !(name === 'ExcessiveAttemptsException' && $scope.remaining > 0);
+							$scope.errorMessage = $scope.labels['exception.' + name]
+									|| $scope.labels['connection.denied.message'];
 							if (angular.isDefined($scope.onError)) {
 								$scope.onError({
 									data : data
@@ -102,6 +152,12 @@ var usernamePasswordFormDirective = [
 							}
 						});
 					};
+
+					$scope.$on('$destroy', function() {
+						if (countdown !== null) {
+							$interval.cancel(countdown);
+						}
+					});
 				}
 			};
 		} ];
\ No newline at end of file
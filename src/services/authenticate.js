@@ -1,18 +1,26 @@
 'use strict';
 
+/* globals HttpRealm, ModularRealmAuthenticator, AtLeastOneSuccessfulStrategy, FirstSuccessfulStrategy,
+ AllSuccessfulStrategy, AuthorizationInfo, getPathValue, trim, toAuthenticationException, MappedResponseParser */
+
 /**
  * @ngdoc service
  * @name angularShiro.services.Authenticator
  * @requires $q
  * @requires $http
- * @requires $$timeout
+ * @requires $injector
+ * @requires angularShiro.services.responseParsers
  * @requires angularShiro.services.AngularShiroConfig
  * 
  * @description Service in charge of the authentication process.
  * 
- * Default implementation send a `post` request to the uri specified in the
- * <code>AngularShiroConfig</code> through the <code>login.api</code>
- * property value.
+ * The authentication is delegated to the realms registered through
+ * `angularShiroConfigProvider.addRealm(realm)` (see
+ * {@link angularShiro.services.ModularRealmAuthenticator ModularRealmAuthenticator}).
+ * 
+ * When no realm is registered, default implementation send a `post` request to
+ * the uri specified in the <code>AngularShiroConfig</code> through the
+ * <code>login.api</code> property value.
  * 
  * <span class=" alert-danger">This service is not intended to be accessed
  * directly; It's meant to be used internally by the `subject` service.</span>
@@ -20,12 +28,84 @@
  */
 function AuthenticatorProvider() {
 
+    var strategies = {
+	'atLeastOneSuccessful' : AtLeastOneSuccessfulStrategy,
+	'firstSuccessful' : FirstSuccessfulStrategy,
+	'allSuccessful' : AllSuccessfulStrategy
+    };
+
     this.$get = [
 	    '$q',
 	    '$http',
-	    '$timeout',
+	    '$injector',
+	    'responseParsers',
 	    'angularShiroConfig',
-	    function($q, $http, $timeout, config) {
+	    function($q, $http, $injector, responseParsers, config) {
+
+		var realms = null;
+
+		var resolveRealm = function(realm) {
+		    if (angular.isString(realm)) {
+			return $injector.get(realm);
+		    }
+		    if (angular.isFunction(realm) || angular.isArray(realm)) {
+			return $injector.invoke(realm);
+		    }
+		    if (angular.isFunction(realm.getAuthenticationInfo)) {
+			return realm;
+		    }
+		    return new HttpRealm(realm, $http, $q, responseParsers.get(realm.parser));
+		};
+
+		var getRealms = function() {
+		    if (realms === null) {
+			realms = [];
+			angular.forEach(config.realms, function(realm) {
+			    realms.push(resolveRealm(realm));
+			});
+			if (realms.length === 0 && config.login && config.login.api) {
+			    realms.push(resolveRealm({
+				name : 'default',
+				api : config.login.api
+			    }));
+			}
+			if (config.mfa && config.mfa.api) {
+			    realms.unshift(resolveRealm({
+				name : 'mfa',
+				api : config.mfa.api,
+				parser : config.mfa.parser,
+				supports : function(token) {
+				    return token instanceof ChallengeToken;
+				}
+			    }));
+			}
+			if (config.rememberMe && config.rememberMe.api) {
+			    realms.unshift(resolveRealm({
+				name : 'rememberMe',
+				api : config.rememberMe.api,
+				parser : config.rememberMe.parser,
+				supports : function(token) {
+				    return token instanceof RememberMeToken;
+				}
+			    }));
+			}
+		    }
+		    return realms;
+		};
+
+		var resolveStrategy = function(strategy) {
+		    if (angular.isString(strategy)) {
+			if (!strategies[strategy]) {
+			    throw '[Autheticate] Unknown authentication strategy \'' + strategy + '\'.';
+			}
+			return new strategies[strategy]();
+		    }
+		    return strategy;
+		};
+
+		var modularRealmAuthenticator = new ModularRealmAuthenticator(getRealms,
+			resolveStrategy(config.authenticationStrategy || 'atLeastOneSuccessful'), $q);
+
 		return {
 		    /**
 		     * @ngdoc method
@@ -33,31 +113,122 @@ function AuthenticatorProvider() {
 		     * @param {UsernamePasswordToken}
 		     *                token authentication token
 		     * @methodOf angularShiro.services.Authenticator
-		     * @returns {Promise} Returns a promise
+		     * @returns {Promise} Returns a promise resolved with the
+		     *          `authc` and `authz` informations, or rejected with
+		     *          an `AuthenticationException`
 		     */
 		    authenticate : function(token) {
-			var promise = null;
 			if (!token || !token.getPrincipal() || !token.getCredentials()) {
 			    throw '[Autheticate] Can not authenticate. Invalid token provided!';
 			}
-			if (config && config.login && config.login.api) {
-			    var deferred = $q.defer();
-			    var sharioConfig=config;
-			    $http.post(config.login.api, {
-				token : {
-				    principal : token.getPrincipal(),
-				    credentials : token.getCredentials()
-				}
-			    }).success(function(data, status, headers) {
-				deferred.resolve([data,status,headers,sharioConfig]);
-			    }).error(function(data, status, headers) {
-				deferred.reject([data,status,headers,sharioConfig]);
-			    });
-			    promise = deferred.promise;
-			} else {
+			if (getRealms().length === 0) {
 			    throw '[Autheticate] Can not authenticate since no \'config.login.api\' is provided. Please check your configuration.';
 			}
-			return promise;
+			return modularRealmAuthenticator.authenticate(token).then(null, function(error) {
+			    return $q.reject(toAuthenticationException(error, config.exceptions, $injector));
+			});
+		    },
+
+		    /**
+		     * @ngdoc method
+		     * @name authenticator#logout
+		     * @param {AuthenticationInfo}
+		     *                authenticationInfo the authentication
+		     *                informations of the Subject logging out
+		     * @param {string=}
+		     *                rememberMeToken the Subject remember me token
+		     * @methodOf angularShiro.services.Authenticator
+		     * @description Notifies the backend of the Subject logout by
+		     *              posting its tokens to the `logout.api` uri, so
+		     *              that they can be revoked
+		     * @returns {Promise} Returns a promise resolved once the
+		     *          backend answered, or immediately when there is
+		     *          nothing to notify
+		     */
+		    logout : function(authenticationInfo, rememberMeToken) {
+			if (!config.logout || !config.logout.api || !angular.isObject(authenticationInfo)) {
+			    return $q.when(null);
+			}
+			return $http.post(config.logout.api, {
+			    principal : authenticationInfo.getPrincipal(),
+			    accessToken : authenticationInfo.getAccessToken(),
+			    refreshToken : authenticationInfo.getRefreshToken(),
+			    rememberMeToken : rememberMeToken || null
+			}, {
+			    ignoreAuthErrors : true
+			});
+		    },
+
+		    /**
+		     * @ngdoc method
+		     * @name authenticator#runAs
+		     * @param {*}
+		     *                principals the principals of the user to run
+		     *                as
+		     * @methodOf angularShiro.services.Authenticator
+		     * @description Posts the principals to the `runAs.api` uri
+		     *              then parses the response with the configured
+		     *              `runAs.parser`
+		     * @returns {Promise} Returns a promise resolved with the
+		     *          `authc` and `authz` informations of the user, or
+		     *          rejected with the `[data, status, headers,
+		     *          config]` http response
+		     */
+		    runAs : function(principals) {
+			if (!config.runAs || !config.runAs.api) {
+			    throw '[Autheticate] Can not run as another user since no \'config.runAs.api\' is provided. Please check your configuration.';
+			}
+			var parser = responseParsers.get(config.runAs.parser);
+			var deferred = $q.defer();
+			$http.post(config.runAs.api, {
+			    principals : principals
+			}, {
+			    ignoreAuthErrors : true
+			}).success(function(data) {
+			    try {
+				deferred.resolve(parser.parse(data));
+			    } catch (e) {
+				deferred.reject(e);
+			    }
+			}).error(function(data, status, headers, config) {
+			    deferred.reject([ data, status, headers, config ]);
+			});
+			return deferred.promise;
+		    },
+
+		    /**
+		     * @ngdoc method
+		     * @name authenticator#getAuthorizationInfo
+		     * @methodOf angularShiro.services.Authenticator
+		     * @description Reads the authorization informations of the
+		     *              authenticated Subject from the `authz.api` uri,
+		     *              parsed with the `authz.parser` or along the
+		     *              `authz.mapping`
+		     * @returns {Promise} Returns a promise resolved with the
+		     *          <code>AuthorizationInfo</code>, or rejected with the
+		     *          `[data, status, headers, config]` http response
+		     */
+		    getAuthorizationInfo : function() {
+			if (!config.authz || !config.authz.api) {
+			    throw '[Autheticate] Can not load the authorization since no \'config.authz.api\' is provided. Please check your configuration.';
+			}
+			var parser = (config.authz.parser) ? responseParsers.get(config.authz.parser)
+				: new MappedResponseParser(angular.extend({}, config.authz.mapping, {
+				    required : []
+				}));
+			var deferred = $q.defer();
+			$http.get(config.authz.api, {
+			    ignoreAuthErrors : true
+			}).success(function(data) {
+			    try {
+				deferred.resolve(parser.parse(data).authz);
+			    } catch (e) {
+				deferred.reject(e);
+			    }
+			}).error(function(data, status, headers, config) {
+			    deferred.reject([ data, status, headers, config ]);
+			});
+			return deferred.promise;
 		    }
 
 		};
@@ -131,12 +302,11 @@ function UsernamePasswordToken(username, password, rememberMe) {
      * 
      * 
      * @description Returns `true` if the `Subject` is to be remembered, i.e if
-     *              the credentials should be stored in the browser
-     *              `sessionStorage`, `false` otherwise (`false` by default)
+     *              the remember me token issued by the backend should be
+     *              stored in a cookie, `false` otherwise (`false` by default)
      * 
-     * @return {boolean} `true` if the `Subject` is to be remembered, i.e if the
-     *         credentials should be stored in the browser `sessionStorage`,
-     *         `false` otherwise (`false` by default)
+     * @return {boolean} `true` if the `Subject` is to be remembered, `false`
+     *         otherwise (`false` by default)
      */
     this.isRememberMe = function() {
 	return this.rememberMe;
@@ -148,9 +318,9 @@ function UsernamePasswordToken(username, password, rememberMe) {
      * @name UsernamePasswordToken#setRememberMe
      * @methodOf angularShiro.services.UsernamePasswordToken
      * 
-     * @description If set to `true`, in cas of page reload, if a valid session
-     *              corresponding to the url `sessionId` param is found, use the
-     *              serialiazed token to auto login to reload authorizations
+     * @description If set to `true`, the remember me token issued by the
+     *              backend on login is stored so that the Subject is logged in
+     *              again on page reload (see `Subject#rememberMe`)
      * 
      * @param {boolean}
      *                rememberMe value
@@ -201,6 +371,234 @@ function UsernamePasswordToken(username, password, rememberMe) {
 
 }
 
+/**
+ * @ngdoc object
+ * @name angularShiro.services.BearerToken
+ * 
+ * @description <code>BearerToken</code> is an authentication token wrapping
+ *              an already issued bearer token (for example a `JWT`) to be
+ *              exchanged against the Subject's authentication and
+ *              authorization informations.
+ * 
+ * @param {string}
+ *                token the bearer token
+ * 
+ * @since 0.2.0
+ */
+function BearerToken(token) {
+    /**
+     * @ngdoc property
+     * @name BearerToken#token
+     * @propertyOf angularShiro.services.BearerToken
+     * @description the bearer token
+     */
+    this.token = token || null;
+
+    /**
+     * @ngdoc method
+     * @name BearerToken#getPrincipal
+     * @methodOf angularShiro.services.BearerToken
+     * 
+     * @description Returns the bearer token, a bearer token identifies the
+     *              Subject on its own
+     * @return {string} the bearer token
+     */
+    this.getPrincipal = function() {
+	return this.token;
+    };
+
+    /**
+     * @ngdoc method
+     * @name BearerToken#getCredentials
+     * @methodOf angularShiro.services.BearerToken
+     * 
+     * @description Returns the bearer token
+     * @return {string} the bearer token
+     */
+    this.getCredentials = function() {
+	return this.token;
+    };
+
+    /**
+     * @ngdoc method
+     * @name BearerToken#isRememberMe
+     * @methodOf angularShiro.services.BearerToken
+     * 
+     * @description A bearer token is never remembered
+     * @return {boolean} `false`
+     */
+    this.isRememberMe = function() {
+	return false;
+    };
+
+    /**
+     * @ngdoc method
+     * @name BearerToken#clear
+     * @methodOf angularShiro.services.BearerToken
+     * 
+     * @description Clear all the data
+     */
+    this.clear = function() {
+	this.token = null;
+    };
+}
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.RememberMeToken
+ * 
+ * @description <code>RememberMeToken</code> wraps the opaque remember me token
+ *              issued by the backend. It is exchanged at the configured
+ *              `rememberMe.api` uri for the Subject's authentication and
+ *              authorization informations, along with a new remember me token.
+ * 
+ * @param {string}
+ *                token the remember me token
+ * 
+ * @since 0.2.0
+ */
+function RememberMeToken(token) {
+    /**
+     * @ngdoc property
+     * @name RememberMeToken#token
+     * @propertyOf angularShiro.services.RememberMeToken
+     * @description the remember me token
+     */
+    this.token = token || null;
+
+    /**
+     * @ngdoc method
+     * @name RememberMeToken#getPrincipal
+     * @methodOf angularShiro.services.RememberMeToken
+     * 
+     * @description Returns the remember me token, which identifies the
+     *              Subject on its own
+     * @return {string} the remember me token
+     */
+    this.getPrincipal = function() {
+	return this.token;
+    };
+
+    /**
+     * @ngdoc method
+     * @name RememberMeToken#getCredentials
+     * @methodOf angularShiro.services.RememberMeToken
+     * 
+     * @description Returns the remember me token
+     * @return {string} the remember me token
+     */
+    this.getCredentials = function() {
+	return this.token;
+    };
+
+    /**
+     * @ngdoc method
+     * @name RememberMeToken#isRememberMe
+     * @methodOf angularShiro.services.RememberMeToken
+     * 
+     * @description The Subject stays remembered, the rotated token is stored
+     *              in place of the exchanged one
+     * @return {boolean} `true`
+     */
+    this.isRememberMe = function() {
+	return true;
+    };
+
+    /**
+     * @ngdoc method
+     * @name RememberMeToken#clear
+     * @methodOf angularShiro.services.RememberMeToken
+     * 
+     * @description Clear all the data
+     */
+    this.clear = function() {
+	this.token = null;
+    };
+}
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.ChallengeToken
+ * 
+ * @description <code>ChallengeToken</code> carries the code answering the
+ *              second factor challenge issued by the backend on login. It is
+ *              sent to the configured `mfa.api` uri (see
+ *              `Subject#completeChallenge`).
+ * 
+ * @param {object}
+ *                challenge the pending challenge
+ * @param {string}
+ *                code the code entered by the user (TOTP, SMS or email code)
+ * 
+ * @since 0.2.0
+ */
+function ChallengeToken(challenge, code) {
+    /**
+     * @ngdoc property
+     * @name ChallengeToken#challenge
+     * @propertyOf angularShiro.services.ChallengeToken
+     * @description the pending challenge
+     */
+    this.challenge = challenge || null;
+
+    /**
+     * @ngdoc property
+     * @name ChallengeToken#code
+     * @propertyOf angularShiro.services.ChallengeToken
+     * @description the code answering the challenge
+     */
+    this.code = code || null;
+
+    /**
+     * @ngdoc method
+     * @name ChallengeToken#getPrincipal
+     * @methodOf angularShiro.services.ChallengeToken
+     * 
+     * @description Returns the challenge token, which identifies the pending
+     *              authentication
+     * @return {string} the challenge token
+     */
+    this.getPrincipal = function() {
+	return (this.challenge) ? this.challenge.token : null;
+    };
+
+    /**
+     * @ngdoc method
+     * @name ChallengeToken#getCredentials
+     * @methodOf angularShiro.services.ChallengeToken
+     * 
+     * @description Returns the code answering the challenge
+     * @return {string} the code
+     */
+    this.getCredentials = function() {
+	return this.code;
+    };
+
+    /**
+     * @ngdoc method
+     * @name ChallengeToken#isRememberMe
+     * @methodOf angularShiro.services.ChallengeToken
+     * 
+     * @description Returns `true` if the Subject asked to be remembered when
+     *              submitting its first factor
+     * @return {boolean} `true` if the Subject is to be remembered
+     */
+    this.isRememberMe = function() {
+	return angular.isObject(this.challenge) && this.challenge.rememberMe === true;
+    };
+
+    /**
+     * @ngdoc method
+     * @name ChallengeToken#clear
+     * @methodOf angularShiro.services.ChallengeToken
+     * 
+     * @description Clear all the data
+     */
+    this.clear = function() {
+	this.challenge = this.code = null;
+    };
+}
+
 /**
  * @ngdoc object
  * @name angularShiro.services.AuthenticationInfo
@@ -216,9 +614,20 @@ function UsernamePasswordToken(username, password, rememberMe) {
  *                credentials Subject's principal (ex : Subject's login,
  *                username, ...)
  * 
+ * @param {string=}
+ *                accessToken the token issued by the backend on
+ *                authentication, to be sent back along with the api requests
+ * 
+ * @param {string=}
+ *                refreshToken the token to be exchanged for a new access token
+ *                before it expires
+ * 
+ * @param {Date|number=}
+ *                expiresAt the access token expiration time
+ * 
  * @since 0.0.1
  */
-function AuthenticationInfo(principal, credentials) {
+function AuthenticationInfo(principal, credentials, accessToken, refreshToken, expiresAt) {
     
     
     /**
@@ -235,6 +644,30 @@ function AuthenticationInfo(principal, credentials) {
      * @returns {object} the Subject's credentials
      */
     this.credentials = credentials;
+
+    /**
+     * @name AuthenticationInfo#accessToken
+     * @propertyOf angularShiro.services.AuthenticationInfo
+     * @description the token issued by the backend on authentication
+     * @returns {string} the access token
+     */
+    this.accessToken = accessToken || null;
+
+    /**
+     * @name AuthenticationInfo#refreshToken
+     * @propertyOf angularShiro.services.AuthenticationInfo
+     * @description the token to be exchanged for a new access token
+     * @returns {string} the refresh token
+     */
+    this.refreshToken = refreshToken || null;
+
+    /**
+     * @name AuthenticationInfo#expiresAt
+     * @propertyOf angularShiro.services.AuthenticationInfo
+     * @description the access token expiration time
+     * @returns {Date} the expiration time
+     */
+    this.expiresAt = (expiresAt) ? new Date(expiresAt) : null;
     
     /**
      * @ngdoc method
@@ -265,6 +698,99 @@ function AuthenticationInfo(principal, credentials) {
 	return this.credentials;
     };
 
+    /**
+     * @ngdoc method
+     * @name AuthenticationInfo#getAccessToken
+     * @methodOf angularShiro.services.AuthenticationInfo
+     * 
+     * @description Returns the token issued by the backend on authentication,
+     *              or `null` if none was issued
+     * 
+     * @returns {string} the access token
+     * @since 0.2.0
+     */
+    this.getAccessToken = function() {
+	return this.accessToken;
+    };
+
+    /**
+     * @ngdoc method
+     * @name AuthenticationInfo#getRefreshToken
+     * @methodOf angularShiro.services.AuthenticationInfo
+     * 
+     * @description Returns the token to be exchanged for a new access token,
+     *              or `null` if none was issued
+     * 
+     * @returns {string} the refresh token
+     * @since 0.2.0
+     */
+    this.getRefreshToken = function() {
+	return this.refreshToken;
+    };
+
+    /**
+     * @ngdoc method
+     * @name AuthenticationInfo#getExpiresAt
+     * @methodOf angularShiro.services.AuthenticationInfo
+     * 
+     * @description Returns the access token expiration time, or `null` if
+     *              unknown
+     * 
+     * @returns {Date} the expiration time
+     * @since 0.2.0
+     */
+    this.getExpiresAt = function() {
+	return this.expiresAt;
+    };
+
+}
+
+/**
+ * Parse the remember me token issued by the backend
+ * 
+ * @param {string|object}
+ *                rememberMe the token or an object holding the `token` and its
+ *                `expiresIn` (seconds) or `expiresAt` (milliseconds)
+ * @returns {object} the `token` and its `expiresAt` date, or `null`
+ * @private
+ */
+function parseRememberMe(rememberMe) {
+    if (angular.isString(rememberMe)) {
+	rememberMe = {
+	    token : rememberMe
+	};
+    }
+    if (!angular.isObject(rememberMe) || !angular.isString(rememberMe.token)) {
+	return null;
+    }
+    var expiresAt = rememberMe.expiresAt;
+    if (!expiresAt && angular.isNumber(rememberMe.expiresIn)) {
+	expiresAt = new Date().getTime() + rememberMe.expiresIn * 1000;
+    }
+    return {
+	token : rememberMe.token,
+	expiresAt : (expiresAt) ? new Date(expiresAt) : null
+    };
+}
+
+/**
+ * Parse the second factor challenge issued by the backend
+ * 
+ * @param {object}
+ *                challenge the challenge holding its `token` and `type`
+ * @returns {object} a copy of the challenge
+ * @private
+ */
+function parseChallenge(challenge) {
+    if (!angular.isObject(challenge) || !angular.isString(challenge.token)) {
+	throw {
+	    'name' : 'ParseException',
+	    'message' : 'Response does not match expected structure: missing \'challenge.token\'.'
+	};
+    }
+    return angular.extend({
+	type : null
+    }, challenge);
 }
 
 /**
@@ -293,18 +819,47 @@ function AuthenticationInfo(principal, credentials) {
  * 		// the Subject/User credentials, for example
  * 		&quot;name&quot; : &quot;Edgar Degas&quot;,
  * 		&quot;email&quot; : &quot;degas@mail.com&quot;
- * 	    }
+ * 	    },
+ * 	    // optional, the token to be sent back along with the api requests
+ * 	    accessToken : &quot;eyJhbGciOiJIUzI1NiJ9...&quot;,
+ * 	    // optional, the token to be exchanged for a new access token
+ * 	    refreshToken : &quot;8xLOxBtZp8&quot;,
+ * 	    // optional, the access token lifetime in seconds (or its
+ * 	    // expiration time in milliseconds through `expiresAt`)
+ * 	    expiresIn : 600
  * 	},
  * 	authz : {
  * 	    // list of the Subject/User roles, for example
  * 	    roles : [ &quot;GUEST&quot; ],
  * 	    // list of the Subject/User permissions, for example
  * 	    permissions : [ &quot;newsletter$read&quot;, &quot;book$*&quot; ]
+ * 	},
+ * 	// optional, issued when the Subject asked to be remembered
+ * 	rememberMe : {
+ * 	    token : &quot;Tm9wZSwgb3BhcXVl&quot;,
+ * 	    // the token lifetime in seconds (or `expiresAt` in milliseconds)
+ * 	    expiresIn : 2592000
  * 	}
  *     }
  * }
  * </pre>
  * 
+ * When a second factor is required the response holds the challenge in place of
+ * the `info` :
+ * 
+ * <pre>
+ * {
+ *     challenge : {
+ * 	// identifies the pending authentication
+ * 	token : &quot;c2Vjb25kIGZhY3Rvcg&quot;,
+ * 	// &quot;totp&quot;, &quot;sms&quot; or &quot;email&quot;
+ * 	type : &quot;sms&quot;,
+ * 	// optional, displayed to the user
+ * 	hint : &quot;+33 6 ** ** ** 42&quot;
+ *     }
+ * }
+ * </pre>
+ * 
  * @since 0.0.1
  */
 function AuthenticationResponseParser() {
@@ -324,32 +879,87 @@ function AuthenticationResponseParser() {
      *                credentials to be passed to the Authentication subsystem
      *                for verification.
      * 
-     * @returns {object} the parsed data
+     * @returns {object} the parsed data, or the `challenge` when a second
+     *          factor is required
      * 
      */
     this.parse = function(data) {
+	if (angular.isObject(data) && angular.isDefined(data.challenge)) {
+	    return {
+		challenge : parseChallenge(data.challenge)
+	    };
+	}
 	this.checkValidity(data);
 	return {
 	    authc : this.parseAuthc(data.info.authc),
-	    authz : this.parseAuthz(data.info.authz)
+	    authz : this.parseAuthz(data.info.authz),
+	    rememberMe : parseRememberMe(data.info.rememberMe)
+	};
+    };
+
+    /**
+     *
+     * @ngdoc method
+     * @function
+     * @name AuthenticationResponseParser#format
+     * @methodOf angularShiro.services.AuthenticationResponseParser
+     *
+     * @description Format the `authc` and `authz` informations in the
+     *              structure expected by the `parse` method. Used to store the
+     *              Subject's informations in session.
+     *
+     * @param {Object}
+     *                infos the `authc` and `authz` informations
+     *
+     * @returns {object} the formatted data
+     *
+     */
+    this.format = function(infos) {
+	return {
+	    info : {
+		authc : {
+		    principal : infos.authc.getPrincipal(),
+		    credentials : infos.authc.getCredentials(),
+		    accessToken : infos.authc.getAccessToken(),
+		    refreshToken : infos.authc.getRefreshToken(),
+		    expiresAt : (infos.authc.getExpiresAt()) ? infos.authc.getExpiresAt().getTime() : null
+		},
+		authz : {
+		    roles : infos.authz.getRoles(),
+		    permissions : infos.authz.getStringPermissions(),
+		    roleHierarchy : infos.authz.getRoleHierarchy(),
+		    rolePermissions : infos.authz.getRolePermissions()
+		}
+	    }
 	};
     };
 
     this.parseAuthc = function(authc) {
-	return new AuthenticationInfo(authc.principal, authc.credentials);
+	var expiresAt = authc.expiresAt;
+	if (!expiresAt && angular.isNumber(authc.expiresIn)) {
+	    expiresAt = new Date().getTime() + authc.expiresIn * 1000;
+	}
+	return new AuthenticationInfo(authc.principal, authc.credentials, authc.accessToken, authc.refreshToken,
+		expiresAt);
     };
 
     this.parseAuthz = function(authz) {
-	return new AuthorizationInfo(authz.roles, authz.permissions);
+	return new AuthorizationInfo(authz.roles, authz.permissions, authz.roleHierarchy, authz.rolePermissions);
     };
 
     /**
      * 
      */
     this.checkValidity = function(data) {
-	if (!angular.isDefined(data) || !angular.isDefined(data.info) || !this.isAuthcValid(data.info)
-		|| !this.isAuthzValid(data.info)) {
-	    var msg = 'Response does not match expected structure.';
+	var missing = null;
+	angular.forEach([ 'info', 'info.authc', 'info.authc.principal', 'info.authc.credentials', 'info.authz',
+		'info.authz.roles', 'info.authz.permissions' ], function(path) {
+	    if (missing === null && !angular.isDefined(getPathValue(data, path))) {
+		missing = path;
+	    }
+	});
+	if (missing !== null) {
+	    var msg = 'Response does not match expected structure: missing \'' + missing + '\'.';
 	    throw {
 		'name' : 'ParseException',
 		'message' : msg
@@ -374,4 +984,179 @@ function AuthenticationResponseParser() {
 	}
 	return valid;
     };
-}
\ No newline at end of file
+}
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.JwtResponseParser
+ * 
+ * @description `JwtResponseParser` parses an authentication response
+ *              carrying a `JSON Web Token`. The token payload is decoded and
+ *              its claims are mapped to the Subject's authentication and
+ *              authorization informations.
+ * 
+ * The response is either the token itself or a `json` object holding the token
+ * under the `token` property (see `options`).
+ * 
+ * The decoded claims are the Subject's credentials, so that the `exp` and `iat`
+ * claims are available through `subject.getExpiration()` and
+ * `subject.getIssuedAt()`. A refresh token and a remember me token may be
+ * returned along with the token in the `json` object.
+ * 
+ * # Default options
+ * 
+ * <pre>
+ * {
+ *     // name of the response property holding the token
+ *     token : 'token',
+ *     // name of the response property holding the refresh token
+ *     refreshToken : 'refreshToken',
+ *     // name of the response property holding the remember me token
+ *     rememberMe : 'rememberMe',
+ *     // claim holding the Subject's principal
+ *     principal : 'sub',
+ *     // claim(s) holding the Subject's roles
+ *     roles : 'roles',
+ *     // claim(s) holding the Subject's permissions
+ *     permissions : [ 'permissions', 'scope' ]
+ * }
+ * </pre>
+ * 
+ * A claim value is either an array or a space separated string (as the
+ * `OAuth2` `scope` claim).
+ * 
+ * @param {object=}
+ *                options claims mapping
+ * 
+ * @since 0.2.0
+ */
+function JwtResponseParser(options) {
+
+    /**
+     * @name JwtResponseParser#options
+     * @propertyOf angularShiro.services.JwtResponseParser
+     * @description the claims mapping
+     */
+    this.options = angular.extend({
+	token : 'token',
+	refreshToken : 'refreshToken',
+	rememberMe : 'rememberMe',
+	principal : 'sub',
+	roles : 'roles',
+	permissions : [ 'permissions', 'scope' ]
+    }, options);
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name JwtResponseParser#parse
+     * @methodOf angularShiro.services.JwtResponseParser
+     * 
+     * @description Decodes the token then maps its claims
+     * 
+     * @param {string|Object}
+     *                data the token or the response holding the token
+     * 
+     * @returns {object} the parsed data
+     * 
+     */
+    this.parse = function(data) {
+	if (angular.isObject(data) && angular.isDefined(data.challenge)) {
+	    return {
+		challenge : parseChallenge(data.challenge)
+	    };
+	}
+	var token = this.getToken(data);
+	var claims = this.decode(token);
+	var refreshToken = (angular.isObject(data)) ? data[this.options.refreshToken] : null;
+	var expiresAt = (angular.isNumber(claims.exp)) ? claims.exp * 1000 : null;
+	return {
+	    authc : new AuthenticationInfo(claims[this.options.principal], claims, token, refreshToken, expiresAt),
+	    authz : new AuthorizationInfo(this.getClaimValues(claims, this.options.roles), this.getClaimValues(claims,
+		    this.options.permissions)),
+	    rememberMe : (angular.isObject(data)) ? parseRememberMe(data[this.options.rememberMe]) : null
+	};
+    };
+
+    /**
+     * Returns the token carried by the response
+     * 
+     * @param {string|Object}
+     *                data the token or the response holding the token
+     * @returns {string} the token
+     * @private
+     */
+    this.getToken = function(data) {
+	var token = (angular.isObject(data)) ? data[this.options.token] : data;
+	if (!angular.isString(token) || token.split('.').length !== 3) {
+	    throw {
+		'name' : 'ParseException',
+		'message' : 'Response does not hold a valid JSON Web Token.'
+	    };
+	}
+	return token;
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name JwtResponseParser#decode
+     * @methodOf angularShiro.services.JwtResponseParser
+     * 
+     * @description Decodes the token payload. The token signature is
+     *              <strong>not</strong> verified, the backend is in charge of
+     *              it.
+     * 
+     * @param {string}
+     *                token the `JSON Web Token`
+     * 
+     * @returns {object} the token claims
+     * 
+     */
+    this.decode = function(token) {
+	var payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+	while (payload.length % 4 !== 0) {
+	    payload += '=';
+	}
+	try {
+	    var encoded = '';
+	    angular.forEach(window.atob(payload).split(''), function(c) {
+		encoded += '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
+	    });
+	    return angular.fromJson(decodeURIComponent(encoded));
+	} catch (e) {
+	    throw {
+		'name' : 'ParseException',
+		'message' : 'Unable to decode the JSON Web Token payload.'
+	    };
+	}
+    };
+
+    /**
+     * Collect the values of the specified claim(s)
+     * 
+     * @param {object}
+     *                claims the token claims
+     * @param {string|array}
+     *                names the claim name(s)
+     * @returns {array} the claims values
+     * @private
+     */
+    this.getClaimValues = function(claims, names) {
+	var values = [];
+	angular.forEach(angular.isArray(names) ? names : [ names ], function(name) {
+	    var value = claims[name];
+	    if (angular.isString(value)) {
+		value = trim(value).split(/\s+/);
+	    }
+	    angular.forEach(value, function(v) {
+		if (v && values.indexOf(v) === -1) {
+		    values.push(v);
+		}
+	    });
+	});
+	return values;
+    };
+}
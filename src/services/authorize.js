@@ -1,5 +1,7 @@
 'use strict';
 
+/* globals getPathValue */
+
 /**
  * @ngdoc object
  * @name angularShiro.services.Permission
@@ -13,8 +15,13 @@
  * @param {boolean}
  *                caseSensitive flag indicating if the comparison is case
  *                sensitive
+ * @param {object=}
+ *                tokens the `wildcard`, `partDivider` and `subpartDivider`
+ *                tokens replacing the default `*`, `:` and `,` ones
  */
-function Permission(wildcardString, caseSensitive) {
+function Permission(wildcardString, caseSensitive, tokens) {
+
+    tokens = tokens || {};
 
     /**
      * @ngdoc property
@@ -23,7 +30,7 @@ function Permission(wildcardString, caseSensitive) {
      * @description the token representing wildcard
      * @returns {string} the token representing wildcard
      */
-    this.WILDCARD_TOKEN = '*';
+    this.WILDCARD_TOKEN = tokens.wildcard || '*';
     /**
      * @ngdoc property
      * @name Permission#PART_DIVIDER_TOKEN
@@ -32,7 +39,7 @@ function Permission(wildcardString, caseSensitive) {
      * @returns {string} the string used to separate the different parts of a
      *          token
      */
-    this.PART_DIVIDER_TOKEN = ':';
+    this.PART_DIVIDER_TOKEN = tokens.partDivider || ':';
     /**
      * @ngdoc property
      * @name Permission#SUBPART_DIVIDER_TOKEN
@@ -40,7 +47,7 @@ function Permission(wildcardString, caseSensitive) {
      * @description the string used to separate multiple tokens
      * @returns {string} the string used to separate multiple tokens
      */
-    this.SUBPART_DIVIDER_TOKEN = ',';
+    this.SUBPART_DIVIDER_TOKEN = tokens.subpartDivider || ',';
     /**
      * @ngdoc property
      * @name Permission#caseSensitive
@@ -82,29 +89,93 @@ function Permission(wildcardString, caseSensitive) {
     this.implies = function(permission) {
 	var implies = angular.isDefined(permission) && (this.getParts().length > 0);
 	if (implies) {
-	    permission = (angular.isString(permission)) ? new Permission(permission) : permission;
+	    permission = (angular.isString(permission)) ? new Permission(permission, caseSensitive, tokens) : permission;
+	    if (!(permission instanceof Permission)) {
+		// a wildcard permission does not imply the other permission types
+		return false;
+	    }
 	    var theirParts = permission.getParts();
-	    var theirPartsLength = theirParts.length;
 	    var ourParts = this.getParts();
 	    for ( var i = 0, len = ourParts.length; i < len; i++) {
-		var ourPart = ourParts[i];
-		if (i < theirPartsLength) {
-		    var theirPart = theirParts[i];
-		    if (!this.containsWildCardToken(ourPart) && !this.containsAll(ourPart, theirPart)) {
-			implies = false;
-			break;
-		    }
-		} else {
-		    if (!this.containsWildCardToken(ourPart)) {
-			implies = false;
-			break;
-		    }
+		if (!this.comparePart(ourParts[i], theirParts[i]).matched) {
+		    implies = false;
+		    break;
 		}
 	    }
 	}
 	return implies;
     };
 
+    /**
+     * @ngdoc method
+     * @name Permission#explain
+     * @methodOf angularShiro.services.Permission
+     * 
+     * @description Details how <code>implies</code> compares this permission
+     *              with the given one, part by part
+     * 
+     * @param {string |
+     *                Permission} permission the permission to compare with
+     * 
+     * @return {array} the comparison of each part : the `index`, `ours` and
+     *         `theirs` sub parts, whether it `matched` and the `reason`, one
+     *         of `wildcard`, `contains`, `differs`, `missing` (their
+     *         permission has less parts) or `implicit` (our permission has
+     *         less parts)
+     */
+    this.explain = function(permission) {
+	permission = (angular.isString(permission)) ? new Permission(permission, caseSensitive, tokens) : permission;
+	var parts = [];
+	if (!(permission instanceof Permission)) {
+	    return parts;
+	}
+	var ourParts = this.getParts(), theirParts = permission.getParts();
+	for ( var i = 0, len = Math.max(ourParts.length, theirParts.length); i < len; i++) {
+	    var comparison = (i < ourParts.length) ? this.comparePart(ourParts[i], theirParts[i]) : {
+		matched : true,
+		reason : 'implicit'
+	    };
+	    parts.push(angular.extend({
+		index : i,
+		ours : ourParts[i] || null,
+		theirs : theirParts[i] || null
+	    }, comparison));
+	}
+	return parts;
+    };
+
+    /**
+     * Compares one of our parts with the matching part of their permission,
+     * which may be missing
+     * 
+     * @param {array}
+     *                ourPart
+     * @param {array=}
+     *                theirPart
+     * 
+     * @return {object} whether the parts `matched` and the `reason`
+     * @private
+     */
+    this.comparePart = function(ourPart, theirPart) {
+	if (this.containsWildCardToken(ourPart)) {
+	    return {
+		matched : true,
+		reason : 'wildcard'
+	    };
+	}
+	if (!angular.isDefined(theirPart)) {
+	    return {
+		matched : false,
+		reason : 'missing'
+	    };
+	}
+	var contains = this.containsAll(ourPart, theirPart);
+	return {
+	    matched : contains,
+	    reason : contains ? 'contains' : 'differs'
+	};
+    };
+
     /**
      * Returns <code>true</code> if all their parts are contained in our
      * parts, <code>false</code> otherwise.
@@ -204,6 +275,128 @@ function Permission(wildcardString, caseSensitive) {
     this.parts = this.resolveParts(wildcardString, caseSensitive);
 }
 
+/**
+ * @ngdoc object
+ * @name angularShiro.services.AllPermission
+ * 
+ * @description An <code>AllPermission</code> implies every other permission,
+ *              whatever its type : it is the permission of a superuser.
+ *              Grant it by resolving a dedicated string, for example :
+ * 
+ * <pre>
+ * config.addPermissionResolver({
+ *     resolvePermission : function(permission) {
+ * 	return (permission === 'superuser') ? new AllPermission() : null;
+ *     }
+ * });
+ * </pre>
+ * 
+ * @since 0.2.0
+ */
+function AllPermission() {
+
+    /**
+     * @ngdoc method
+     * @name AllPermission#implies
+     * @methodOf angularShiro.services.AllPermission
+     * 
+     * @description Returns <code>true</code> : this permission implies any
+     *              other
+     * 
+     * @return {boolean} <code>true</code>
+     */
+    this.implies = function() {
+	return true;
+    };
+}
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.PermissionResolver
+ * 
+ * @description A <code>PermissionResolver</code> turns the string
+ *              representation of a permission into a permission object,
+ *              that is any object with an <code>implies(permission)</code>
+ *              method.
+ * 
+ * The <code>Authorizer</code> tries its resolvers in order and keeps the
+ * first permission resolved, a resolver returning <code>null</code> for the
+ * strings it does not support. This default resolver supports the strings
+ * matching its `pattern` (all of them when there is none) and resolves them
+ * into wildcard <code>Permission</code>s built with its own tokens, so that
+ * for example OAuth scopes may be resolved along the Shiro permissions :
+ * 
+ * <pre>
+ * new PermissionResolver({
+ *     pattern : /^scope\//,
+ *     partDivider : '/'
+ * });
+ * </pre>
+ * 
+ * @param {object=}
+ *                options the `pattern` of the supported strings, the
+ *                `wildcard`, `partDivider` and `subpartDivider` tokens and
+ *                the `caseSensitive` flag of the resolved permissions
+ * 
+ * @since 0.2.0
+ */
+function PermissionResolver(options) {
+
+    options = options || {};
+
+    /**
+     * @name PermissionResolver#pattern
+     * @propertyOf angularShiro.services.PermissionResolver
+     * @description the pattern of the supported strings, or
+     *              <code>null</code> to support all of them
+     */
+    this.pattern = options.pattern || null;
+
+    /**
+     * @name PermissionResolver#tokens
+     * @propertyOf angularShiro.services.PermissionResolver
+     * @description the tokens of the resolved permissions
+     */
+    this.tokens = {
+	wildcard : options.wildcard,
+	partDivider : options.partDivider,
+	subpartDivider : options.subpartDivider
+    };
+
+    /**
+     * @ngdoc method
+     * @name PermissionResolver#supports
+     * @methodOf angularShiro.services.PermissionResolver
+     * 
+     * @description Returns <code>true</code> if the resolver supports the
+     *              given string
+     * 
+     * @param {string}
+     *                permission the permission string
+     * @return {boolean} <code>true</code> if the string matches the pattern
+     */
+    this.supports = function(permission) {
+	return this.pattern === null || this.pattern.test(permission);
+    };
+
+    /**
+     * @ngdoc method
+     * @name PermissionResolver#resolvePermission
+     * @methodOf angularShiro.services.PermissionResolver
+     * 
+     * @description Resolves the string into a wildcard
+     *              <code>Permission</code>
+     * 
+     * @param {string}
+     *                permission the permission string
+     * @return {Permission} the permission, or <code>null</code> when the
+     *         string is not supported
+     */
+    this.resolvePermission = function(permission) {
+	return this.supports(permission) ? new Permission(permission, options.caseSensitive, this.tokens) : null;
+    };
+}
+
 /**
  * @ngdoc object
  * @name angularShiro.services.AuthorizationInfo
@@ -217,10 +410,17 @@ function Permission(wildcardString, caseSensitive) {
  *                roles the list of the <code>Subject</code> roles
  * @param {array}
  *                permissions the list of the <code>Subject</code> permissions
+ * @param {object=}
+ *                roleHierarchy the roles included by each role, delivered by
+ *                the backend (see
+ *                {@link angularShiro.services.RolePermissionResolver RolePermissionResolver})
+ * @param {object=}
+ *                rolePermissions the permissions granted by each role,
+ *                delivered by the backend
  * 
  * 
  */
-function AuthorizationInfo(roles, permissions) {
+function AuthorizationInfo(roles, permissions, roleHierarchy, rolePermissions) {
 
     /**
      * @name AuthorizationInfo#roles
@@ -240,6 +440,26 @@ function AuthorizationInfo(roles, permissions) {
      */
     this.permissions = angular.isArray(permissions) ? permissions : [];
 
+    /**
+     * @name AuthorizationInfo#roleHierarchy
+     * @propertyOf angularShiro.services.AuthorizationInfo
+     * @description the roles included by each role, or <code>null</code>
+     * @returns {object} the role hierarchy
+     */
+    this.roleHierarchy = angular.isObject(roleHierarchy) ? roleHierarchy : null;
+
+    /**
+     * @name AuthorizationInfo#rolePermissions
+     * @propertyOf angularShiro.services.AuthorizationInfo
+     * @description the permissions granted by each role, or <code>null</code>
+     * @returns {object} the role permissions
+     */
+    this.rolePermissions = angular.isObject(rolePermissions) ? rolePermissions : null;
+
+    if (this.roleHierarchy !== null) {
+	new RolePermissionResolver(this.roleHierarchy).checkCycles();
+    }
+
     /**
      * @ngdoc method
      * @name AuthorizationInfo#getRoles
@@ -268,6 +488,34 @@ function AuthorizationInfo(roles, permissions) {
 	return this.permissions;
     };
 
+    /**
+     * @ngdoc method
+     * @name AuthorizationInfo#getRoleHierarchy
+     * @methodOf angularShiro.services.AuthorizationInfo
+     * 
+     * @description Returns the roles included by each role, as delivered by
+     *              the backend
+     * 
+     * @return {object} the role hierarchy or <code>null</code>
+     */
+    this.getRoleHierarchy = function() {
+	return this.roleHierarchy;
+    };
+
+    /**
+     * @ngdoc method
+     * @name AuthorizationInfo#getRolePermissions
+     * @methodOf angularShiro.services.AuthorizationInfo
+     * 
+     * @description Returns the permissions granted by each role, as delivered
+     *              by the backend
+     * 
+     * @return {object} the role permissions or <code>null</code>
+     */
+    this.getRolePermissions = function() {
+	return this.rolePermissions;
+    };
+
     /**
      * Returns all string-based permissions assigned to the corresponding
      * Subject
@@ -301,7 +549,7 @@ function AuthorizationInfo(roles, permissions) {
 	var permissions = [];
 	for ( var i = 0, len = this.permissions.length; i < len; i++) {
 	    var p = this.permissions[i];
-	    if (p instanceof Permission) {
+	    if (angular.isObject(p) && angular.isFunction(p.implies)) {
 		permissions.push(p);
 	    }
 	}
@@ -309,6 +557,162 @@ function AuthorizationInfo(roles, permissions) {
     };
 }
 
+/**
+ * @ngdoc object
+ * @name angularShiro.services.RolePermissionResolver
+ * 
+ * @description A <code>RolePermissionResolver</code> expands the roles of a
+ *              Subject along the role hierarchy and resolves the permissions
+ *              granted by each role.
+ * 
+ * The hierarchy maps each role to the roles it includes, for example :
+ * 
+ * <pre>
+ * {
+ *     'ADMIN' : [ 'EDITOR' ],
+ *     'EDITOR' : [ 'VIEWER' ]
+ * }
+ * </pre>
+ * 
+ * so that an <code>ADMIN</code> also has the <code>EDITOR</code> and
+ * <code>VIEWER</code> roles, while the role permissions map each role to
+ * the permissions it grants :
+ * 
+ * <pre>
+ * {
+ *     'EDITOR' : [ 'book:edit' ],
+ *     'VIEWER' : [ 'book:view' ]
+ * }
+ * </pre>
+ * 
+ * A hierarchy holding a cycle is rejected by <code>checkCycles()</code>.
+ * 
+ * @param {object=}
+ *                hierarchy the roles included by each role
+ * @param {object=}
+ *                rolePermissions the permissions granted by each role
+ * 
+ * @since 0.2.0
+ */
+function RolePermissionResolver(hierarchy, rolePermissions) {
+
+    /**
+     * @name RolePermissionResolver#hierarchy
+     * @propertyOf angularShiro.services.RolePermissionResolver
+     * @description the roles included by each role
+     */
+    this.hierarchy = hierarchy || {};
+
+    /**
+     * @name RolePermissionResolver#rolePermissions
+     * @propertyOf angularShiro.services.RolePermissionResolver
+     * @description the permissions granted by each role
+     */
+    this.rolePermissions = rolePermissions || {};
+
+    /**
+     * Returns the roles directly included by the given role
+     * 
+     * @private
+     */
+    this.getIncludedRoles = function(role) {
+	var included = this.hierarchy[role];
+	if (angular.isString(included)) {
+	    return [ included ];
+	}
+	return angular.isArray(included) ? included : [];
+    };
+
+    /**
+     * @ngdoc method
+     * @name RolePermissionResolver#resolveRoles
+     * @methodOf angularShiro.services.RolePermissionResolver
+     * 
+     * @description Returns the given roles along with all the roles they
+     *              include, directly or not
+     * 
+     * @param {array}
+     *                roles the roles assigned to the Subject
+     * @return {array} the expanded roles
+     */
+    this.resolveRoles = function(roles) {
+	var resolved = [];
+	var visit = function(role) {
+	    if (resolved.indexOf(role) === -1) {
+		resolved.push(role);
+		angular.forEach(this.getIncludedRoles(role), visit, this);
+	    }
+	};
+	angular.forEach(roles, visit, this);
+	return resolved;
+    };
+
+    /**
+     * @ngdoc method
+     * @name RolePermissionResolver#resolvePermissionsInRole
+     * @methodOf angularShiro.services.RolePermissionResolver
+     * 
+     * @description Returns the permissions granted by the given role, as
+     *              declared : the strings are resolved by the
+     *              <code>Authorizer</code>
+     * 
+     * @param {string}
+     *                role the role
+     * @return {array} the permissions granted by the role
+     */
+    this.resolvePermissionsInRole = function(role) {
+	return (this.rolePermissions[role] || []).slice(0);
+    };
+
+    /**
+     * @ngdoc method
+     * @name RolePermissionResolver#extend
+     * @methodOf angularShiro.services.RolePermissionResolver
+     * 
+     * @description Returns a new resolver whose hierarchy and role permissions
+     *              are the ones of this resolver overridden by the given ones
+     * 
+     * @param {object=}
+     *                hierarchy the roles included by each role
+     * @param {object=}
+     *                rolePermissions the permissions granted by each role
+     * @return {RolePermissionResolver} the new resolver
+     */
+    this.extend = function(hierarchy, rolePermissions) {
+	var resolver = new RolePermissionResolver(angular.extend({}, this.hierarchy, hierarchy), angular.extend({},
+		this.rolePermissions, rolePermissions));
+	resolver.checkCycles();
+	return resolver;
+    };
+
+    /**
+     * @ngdoc method
+     * @name RolePermissionResolver#checkCycles
+     * @methodOf angularShiro.services.RolePermissionResolver
+     * 
+     * @description Throws when a role of the hierarchy includes itself,
+     *              directly or not
+     */
+    this.checkCycles = function() {
+	var done = [];
+	var visit = function(role, path) {
+	    if (path.indexOf(role) > -1) {
+		throw '[RolePermissionResolver] Cycle detected in the role hierarchy : ' + path.concat(role).join(' > ')
+			+ '.';
+	    }
+	    if (done.indexOf(role) === -1) {
+		angular.forEach(this.getIncludedRoles(role), function(included) {
+		    visit.call(this, included, path.concat(role));
+		}, this);
+		done.push(role);
+	    }
+	};
+	angular.forEach(this.hierarchy, function(included, role) {
+	    visit.call(this, role, []);
+	}, this);
+    };
+}
+
 /**
  * @ngdoc object
  * @name angularShiro.services.Authorizer
@@ -321,12 +725,71 @@ function AuthorizationInfo(roles, permissions) {
  * <code>AuthorizationInfo</code> that is injected through the
  * <code>Authorizer</code> constructor.
  * 
+ * The roles of the <code>AuthorizationInfo</code> are expanded along the
+ * role hierarchy, and the permissions granted by the roles are added to the
+ * Subject permissions, by the <code>RolePermissionResolver</code>. The
+ * hierarchy and role permissions delivered by the backend extend the
+ * configured ones.
+ * 
+ * A permission string starting with `!`, for example `!invoice:delete`, is a
+ * deny : a permission implied by a deny is refused even when an other
+ * permission, for example `invoice:*`, grants it.
+ * 
  * 
- * @param {AuthorizationInfo}
- *                authorizationInfo All informations regarding the Subject
- *                authorizations
+ * @param {RolePermissionResolver=}
+ *                rolePermissionResolver the resolver of the roles and of
+ *                their permissions
+ * @param {string|function=}
+ *                instanceIdentifier the path of the identifier of the domain
+ *                objects the permissions are checked against, or a function
+ *                returning it (default `'id'`)
+ * @param {array=}
+ *                permissionResolvers the resolvers turning the permission
+ *                strings into permission objects, tried in order (default a
+ *                wildcard <code>PermissionResolver</code>)
  */
-function Authorizer() {
+function Authorizer(rolePermissionResolver, instanceIdentifier, permissionResolvers) {
+
+    /**
+     * @name Authorizer#rolePermissionResolver
+     * @propertyOf angularShiro.services.Authorizer
+     * @description <code>RolePermissionResolver</code> instance expanding
+     *              the roles and resolving their permissions
+     */
+    this.rolePermissionResolver = rolePermissionResolver || new RolePermissionResolver();
+
+    /**
+     * @name Authorizer#instanceIdentifier
+     * @propertyOf angularShiro.services.Authorizer
+     * @description the path of the identifier of the domain objects, or a
+     *              function returning it
+     */
+    this.instanceIdentifier = instanceIdentifier || 'id';
+
+    /**
+     * @name Authorizer#permissionResolvers
+     * @propertyOf angularShiro.services.Authorizer
+     * @description the resolvers of the permission strings, tried in order
+     */
+    this.permissionResolvers = permissionResolvers || [ new PermissionResolver() ];
+
+    /**
+     * @ngdoc property
+     * @name Authorizer#DENY_TOKEN
+     * @propertyOf angularShiro.services.Authorizer
+     * @description the prefix of the denied permission strings
+     * @returns {string} the prefix of the denied permission strings
+     */
+    this.DENY_TOKEN = '!';
+
+    /**
+     * @name Authorizer#roles
+     * @propertyOf angularShiro.services.Authorizer
+     * @description the roles of the corresponding Subject, including the
+     *              inherited ones
+     * @return {array} the Subject's roles
+     */
+    this.roles;
 
     /**
      * @name Authorizer#permissions
@@ -337,6 +800,27 @@ function Authorizer() {
      */
     this.permissions;
 
+    /**
+     * @name Authorizer#deniedPermissions
+     * @propertyOf angularShiro.services.Authorizer
+     * @description list of the permission objects denied to the corresponding
+     *              Subject, overriding its permissions
+     * @return {array} the Subject's denied permissions
+     */
+    this.deniedPermissions;
+
+    /**
+     * The origin of each permission and denied permission, at the same index :
+     * the declared `permission` and the `role` granting it, <code>null</code>
+     * when it is granted directly
+     * 
+     * @private
+     */
+    this.origins = {
+	permissions : [],
+	deniedPermissions : []
+    };
+
     /**
      * <code>AuthorizationInfo</code> instance support of authorization
      * operations
@@ -354,8 +838,47 @@ function Authorizer() {
 		'illegalArgumentException' : 'invalid value for authorizationInfo'
 	    };
 	}
+	var resolver = this.rolePermissionResolver;
+	if (authorizationInfo.getRoleHierarchy() || authorizationInfo.getRolePermissions()) {
+	    resolver = resolver.extend(authorizationInfo.getRoleHierarchy(), authorizationInfo.getRolePermissions());
+	}
 	this.authorizationInfo = authorizationInfo;
-	this.permissions = this.getPermissions(authorizationInfo);
+	this.roles = resolver.resolveRoles(authorizationInfo.getRoles());
+	this.permissions = [];
+	this.deniedPermissions = [];
+	this.origins = {
+	    permissions : [],
+	    deniedPermissions : []
+	};
+	angular.forEach(authorizationInfo.getPermissions(), function(permission) {
+	    this.grant(permission, null);
+	}, this);
+	angular.forEach(this.roles, function(role) {
+	    angular.forEach(resolver.resolvePermissionsInRole(role), function(permission) {
+		this.grant(permission, role);
+	    }, this);
+	}, this);
+    };
+
+    /**
+     * Adds the declared permission to the permissions, or to the denied ones,
+     * and records its origin
+     * 
+     * @private
+     */
+    this.grant = function(permission, role) {
+	var origin = {
+	    permission : permission,
+	    role : role
+	};
+	if (this.isDeny(permission)) {
+	    this.deniedPermissions.push(this.resolvePermission(permission.substring(this.DENY_TOKEN.length)));
+	    this.origins.deniedPermissions.push(origin);
+	} else if (angular.isString(permission)
+		|| (angular.isObject(permission) && angular.isFunction(permission.implies))) {
+	    this.permissions.push(this.resolvePermission(permission));
+	    this.origins.permissions.push(origin);
+	}
     };
     
     /**
@@ -364,7 +887,7 @@ function Authorizer() {
      * @private
      */
     this.clear = function() {
-	this.authorizationInfo = this.permissions = null;
+	this.authorizationInfo = this.roles = this.permissions = this.deniedPermissions = null;
     };
 
     /**
@@ -376,22 +899,31 @@ function Authorizer() {
      *              <code>Subject</code> has the specified permission(s),
      *              <code>false</code> otherwise.
      * 
+     * When a domain object is given, its identifier is appended to the
+     * permission(s) as the instance part : `isPermitted('document:edit', doc)`
+     * checks `document:edit:<doc.id>`.
+     * 
      * @param {string |
      *                Permission | array} permission a permission
+     * @param {object=}
+     *                instance the domain object the permission applies to
      * @return {boolean | array} <code>true</code> if the current
      *         <code>Subject</code> has the specified permission(s),
      *         <code>false</code> otherwise.
      * 
      */
-    this.isPermitted = function(permission) {
+    this.isPermitted = function(permission, instance) {
 	var result;
 	if (angular.isArray(permission)) {
 	    result = [];
 	    angular.forEach(permission, function(p) {
-		result.push(this.isObjectPermissionPermitted(this.resolvePermission(p)));
+		result.push(this.isPermitted(p, instance));
 	    }, this);
 	} else {
-	    result = this.isObjectPermissionPermitted(this.resolvePermission(permission));
+	    if (angular.isDefined(instance)) {
+		permission = this.resolveInstancePermission(permission, instance);
+	    }
+	    result = permission !== null && this.isObjectPermissionPermitted(this.resolvePermission(permission));
 	}
 	return result;
     };
@@ -406,11 +938,110 @@ function Authorizer() {
      * 
      * @param {array}
      *                permissions a list of permission
+     * @param {object=}
+     *                instance the domain object the permissions apply to
      * @return {boolean} <code>true</code> if the <code>Subject</code> has
      *         all the specified permissions, <code>false</code> otherwise.
      */
-    this.isPermittedAll = function(permissions) {
-	return (this.isPermitted(permissions).indexOf(false) === -1);
+    this.isPermittedAll = function(permissions, instance) {
+	return (this.isPermitted(permissions, instance).indexOf(false) === -1);
+    };
+
+    /**
+     * @ngdoc method
+     * @name Authorizer#explain
+     * @methodOf angularShiro.services.Authorizer
+     * 
+     * @description Explains the decision of <code>isPermitted</code> for the
+     *              given permission : every denied then granted permission is
+     *              evaluated against it, with its origin and, for the wildcard
+     *              permissions, the comparison part by part (see
+     *              <code>Permission.explain</code>)
+     * 
+     * @param {string |
+     *                Permission} permission the permission to explain
+     * @param {object=}
+     *                instance the domain object the permission applies to
+     * @return {object} the explanation : the checked `permission`, whether
+     *         it is `permitted`, the evaluation that `deniedBy` or
+     *         `grantedBy` decided and all the `evaluations`, each holding the
+     *         declared `permission`, the `role` granting it, whether it is a
+     *         `deny`, whether it `implied` the checked permission and the
+     *         `parts` comparison
+     */
+    this.explain = function(permission, instance) {
+	var checked = angular.isDefined(instance) ? this.resolveInstancePermission(permission, instance) : permission;
+	var explanation = {
+	    permission : checked,
+	    permitted : false,
+	    deniedBy : null,
+	    grantedBy : null,
+	    evaluations : []
+	};
+	if (checked === null) {
+	    return explanation;
+	}
+	var me = this;
+	var resolved = this.resolvePermission(checked);
+	var evaluate = function(permissions, origins, deny) {
+	    var decisive = null;
+	    angular.forEach(permissions, function(p, i) {
+		var evaluation = {
+		    permission : origins[i].permission,
+		    role : origins[i].role,
+		    deny : deny,
+		    implied : deny ? me.isDeniedBy(resolved, p) : p.implies(resolved),
+		    parts : angular.isFunction(p.explain) ? p.explain(resolved) : null
+		};
+		explanation.evaluations.push(evaluation);
+		if (evaluation.implied && decisive === null) {
+		    decisive = evaluation;
+		}
+	    });
+	    return decisive;
+	};
+	explanation.deniedBy = evaluate(this.deniedPermissions, this.origins.deniedPermissions, true);
+	explanation.grantedBy = evaluate(this.permissions, this.origins.permissions, false);
+	explanation.permitted = explanation.deniedBy === null && explanation.grantedBy !== null;
+	return explanation;
+    };
+
+    /**
+     * @ngdoc method
+     * @name Authorizer#resolveInstancePermission
+     * @methodOf angularShiro.services.Authorizer
+     * 
+     * @description Appends the identifier of the domain object to the
+     *              permission template as its instance part, separated by the
+     *              part divider of the resolved permission
+     * 
+     * @param {string}
+     *                permission the permission template, for example
+     *                `document:edit`
+     * @param {*}
+     *                instance the domain object, or its identifier
+     * @return {string} the instance permission, for example
+     *         `document:edit:42`, or <code>null</code> when the object has
+     *         no identifier
+     * @throws {string}
+     *                 when the permission template is not a string
+     */
+    this.resolveInstancePermission = function(permission, instance) {
+	if (!angular.isString(permission)) {
+	    throw '[Authorizer] The permission template applied to a domain object must be a string, got '
+		    + angular.toJson(permission) + '.';
+	}
+	var id = instance;
+	if (angular.isFunction(this.instanceIdentifier)) {
+	    id = this.instanceIdentifier(instance);
+	} else if (angular.isObject(instance)) {
+	    id = getPathValue(instance, this.instanceIdentifier);
+	}
+	if (!angular.isDefined(id) || id === null || id === '') {
+	    return null;
+	}
+	var divider = this.resolvePermission(permission).PART_DIVIDER_TOKEN;
+	return permission + (angular.isString(divider) ? divider : ':') + id;
     };
 
     /**
@@ -419,8 +1050,8 @@ function Authorizer() {
      * @methodOf angularShiro.services.Authorizer
      * 
      * @description Returns <code>true</code> if the current
-     *              <code>Subject</code> has the specified role,
-     *              <code>false</code> otherwise.
+     *              <code>Subject</code> has the specified role, directly or
+     *              through the role hierarchy, <code>false</code> otherwise.
      * 
      * @param {string}
      *                role role to check
@@ -431,7 +1062,7 @@ function Authorizer() {
     this.hasRole = function(role) {
 	var hasRole = false;
 	if (role) {
-	    hasRole = (this.authorizationInfo.getRoles().indexOf(role) > -1);
+	    hasRole = (this.roles.indexOf(role) > -1);
 	}
 	return hasRole;
     };
@@ -494,13 +1125,59 @@ function Authorizer() {
 	var permissions = authInfo.getObjectPermissions();
 	var stringPermissions = authInfo.getStringPermissions();
 	for ( var i = 0, len = stringPermissions.length; i < len; i++) {
-	    permissions.push(new Permission(stringPermissions[i]));
+	    if (!this.isDeny(stringPermissions[i])) {
+		permissions.push(this.resolvePermission(stringPermissions[i]));
+	    }
 	}
 	return permissions;
     };
 
     /**
-     * Evaluate if the permission is granted to the Subject/User
+     * Returns the denied permission objects collected out of the
+     * <code>AuthorizationInfo</code> object, without their prefix
+     * 
+     * @private
+     * @param {AuthorizationInfo}
+     *                authorizationInfo Subject/User authorization data
+     * @return {Array} the denied permissions (object)
+     */
+    this.getDeniedPermissions = function(authInfo) {
+	var permissions = [];
+	angular.forEach(authInfo.getStringPermissions(), function(permission) {
+	    if (this.isDeny(permission)) {
+		permissions.push(this.resolvePermission(permission.substring(this.DENY_TOKEN.length)));
+	    }
+	}, this);
+	return permissions;
+    };
+
+    /**
+     * Returns <code>true</code> if the permission is a denied permission
+     * string
+     * 
+     * @private
+     */
+    this.isDeny = function(permission) {
+	return angular.isString(permission) && permission.indexOf(this.DENY_TOKEN) === 0;
+    };
+
+    /**
+     * Returns <code>true</code> if the denied permission implies the
+     * permission, or if the permission implies the denied one (`invoice:*` is
+     * not granted while `invoice:delete` is denied)
+     * 
+     * @private
+     */
+    this.isDeniedBy = function(permission, denied) {
+	return denied.implies(permission)
+		|| (angular.isObject(permission) && angular.isFunction(permission.implies) && permission
+			.implies(denied));
+    };
+
+    /**
+     * Evaluate if the permission is granted to the Subject/User : a denied
+     * permission overrides the granted ones, whether it implies the permission
+     * or the permission implies it
      * 
      * @method isObjectPermissionPermitted
      * @param {Permission}
@@ -509,21 +1186,37 @@ function Authorizer() {
      *        <code>false</code>otherwise
      */
     this.isObjectPermissionPermitted = function(permission) {
+	var i, len;
+	for (i = 0, len = this.deniedPermissions.length; i < len; i++) {
+	    if (this.isDeniedBy(permission, this.deniedPermissions[i])) {
+		return false;
+	    }
+	}
 	var permitted = false;
-	for ( var i = 0, len = this.permissions.length; i < len && !permitted; i++) {
+	for (i = 0, len = this.permissions.length; i < len && !permitted; i++) {
 	    permitted = this.permissions[i].implies(permission);
 	}
 	return permitted;
     };
     /**
-     * Returns an object Permission
+     * Returns an object Permission, resolved by the first of the
+     * <code>permissionResolvers</code> supporting the string
      * 
      * @param {string |
      *                Permission} permission a permission
      * @retun {Permission} a Permission object
      */
     this.resolvePermission = function(permission) {
-	return angular.isString(permission) ? new Permission(permission) : permission;
+	if (!angular.isString(permission)) {
+	    return permission;
+	}
+	for ( var i = 0, len = this.permissionResolvers.length; i < len; i++) {
+	    var resolved = this.permissionResolvers[i].resolvePermission(permission);
+	    if (resolved) {
+		return resolved;
+	    }
+	}
+	throw '[Authorizer] No PermissionResolver supports the permission \'' + permission + '\'.';
     };
 
 }
@@ -1,14 +1,17 @@
 'use strict';
 
+/* globals secureServiceDecorator */
+
 /**
  * @ngdoc service
  * @name angularShiro.services.angularShiroConfigProvider
+ * @requires $provide
  * 
  * @description `angularShiroConfigProvider` is used to configure
  *              `angular-shiro`.
  * 
  */
-function AngularShiroConfigProvider() {
+function AngularShiroConfigProvider($provide) {
 
     var options = {
 	urls : {
@@ -21,13 +24,136 @@ function AngularShiroConfigProvider() {
 	},
 	login : {
 	    api : '/api/authenticate',
-	    path : '/login'
+	    path : '/login',
+	    state : null
 	},
 	logout : {
 	    api : '/api/logout',
 	    path : '/'
 	},
+	unauthorized : {
+	    path : null,
+	    handler : null,
+	    state : null
+	},
+	realms : [],
+	authenticationStrategy : 'atLeastOneSuccessful',
+	responseParser : 'native',
+	parsers : {
+	    'native' : 'authenticationResponseParser',
+	    'jwt' : 'jwtResponseParser',
+	    'flat' : {
+		principal : 'user',
+		credentials : 'user',
+		accessToken : 'token',
+		refreshToken : 'refreshToken',
+		expiresIn : 'expiresIn',
+		roles : 'roles',
+		permissions : 'permissions',
+		rememberMe : 'rememberMe',
+		challenge : 'challenge'
+	    },
+	    'hal' : {
+		principal : '_embedded.user',
+		credentials : '_embedded.user',
+		accessToken : 'accessToken',
+		refreshToken : 'refreshToken',
+		expiresIn : 'expiresIn',
+		roles : 'roles',
+		permissions : 'permissions',
+		rememberMe : 'rememberMe',
+		challenge : 'challenge'
+	    },
+	    'jsonapi' : {
+		principal : 'data.attributes.principal',
+		credentials : 'data.attributes.credentials',
+		accessToken : 'data.attributes.accessToken',
+		refreshToken : 'data.attributes.refreshToken',
+		expiresIn : 'data.attributes.expiresIn',
+		roles : 'data.attributes.roles',
+		permissions : 'data.attributes.permissions',
+		rememberMe : 'data.attributes.rememberMe',
+		challenge : 'data.attributes.challenge'
+	    }
+	},
+	jwt : {},
+	http : {
+	    urls : [ '/api/**' ],
+	    header : 'Authorization',
+	    scheme : 'Bearer',
+	    template : null,
+	    principalProperty : 'login'
+	},
+	rememberMe : {
+	    api : null,
+	    parser : null
+	},
+	mfa : {
+	    api : null,
+	    parser : null
+	},
+	refresh : {
+	    api : null,
+	    leeway : 60,
+	    parser : null
+	},
+	runAs : {
+	    api : null,
+	    parser : null
+	},
+	authz : {
+	    api : null,
+	    parser : null,
+	    mapping : {
+		roles : 'roles',
+		permissions : 'permissions',
+		roleHierarchy : 'roleHierarchy',
+		rolePermissions : 'rolePermissions'
+	    }
+	},
+	throttle : {
+	    backoff : 0,
+	    maxBackoff : 300,
+	    maxAttempts : 0,
+	    lockout : 900
+	},
+	roles : {
+	    hierarchy : {},
+	    permissions : {}
+	},
+	instanceIdentifier : 'id',
+	permissions : {
+	    wildcard : '*',
+	    partDivider : ':',
+	    subpartDivider : ','
+	},
+	permissionResolvers : [],
+	policies : {},
+	debug : false,
+	exceptions : {
+	    mapper : null,
+	    codePath : 'code',
+	    codes : {
+		'UNKNOWN_ACCOUNT' : 'UnknownAccountException',
+		'LOCKED_ACCOUNT' : 'LockedAccountException',
+		'DISABLED_ACCOUNT' : 'DisabledAccountException',
+		'EXCESSIVE_ATTEMPTS' : 'ExcessiveAttemptsException',
+		'INCORRECT_CREDENTIALS' : 'IncorrectCredentialsException',
+		'EXPIRED_CREDENTIALS' : 'ExpiredCredentialsException'
+	    },
+	    statuses : {
+		400 : 'IncorrectCredentialsException',
+		401 : 'IncorrectCredentialsException',
+		403 : 'DisabledAccountException',
+		423 : 'LockedAccountException',
+		429 : 'ExcessiveAttemptsException'
+	    }
+	},
+	authenticationListeners : [],
 	tokenSid : "angularShiroSid",
+	challengeSid : 'angularShiroChallenge',
+	runAsSid : 'angularShiroRunAs',
+	throttleSid : 'angularShiroThrottle',
     remeberSid : "angularShiroRemeber",
     redirctSid : "angularShiroRedirct",
     indexPath : "/index"
@@ -135,6 +261,870 @@ function AngularShiroConfigProvider() {
     this.setAuthenticateUrl = function(authenticateUrl) {
 	options.login.api = authenticateUrl;
     };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#addRealm
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Register a {@link angularShiro.services.Realm Realm} the
+     *              authentication is delegated to. Once a realm is registered
+     *              the default realm posting to `login.api` is no longer used.
+     * 
+     * @param {string|array|object}
+     *                realm the name of a service implementing the `Realm`
+     *                methods, an injectable function returning a realm, a
+     *                realm object, or the options (`name`, `api` and an
+     *                optional `supports(token)` function) of a
+     *                {@link angularShiro.services.HttpRealm HttpRealm}
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.addRealm({
+     * 	name : 'employees',
+     * 	api : '/api/employees/authenticate'
+     *     });
+     *     config.addRealm('partnersRealm');
+     * } ]);
+     * </pre>
+     */
+    this.addRealm = function(realm) {
+	options.realms.push(realm);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setAuthenticationStrategy
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description The `authenticationStrategy` decides whether an
+     *              authentication attempt against multiple realms is
+     *              successful.
+     * 
+     * @param {string|object}
+     *                strategy `'atLeastOneSuccessful'` (default),
+     *                `'firstSuccessful'`, `'allSuccessful'` or a custom
+     *                strategy object
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setAuthenticationStrategy('firstSuccessful');
+     * } ]);
+     * </pre>
+     */
+    this.setAuthenticationStrategy = function(strategy) {
+	options.authenticationStrategy = strategy;
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setResponseParser
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description The `responseParser` parses the authentication responses
+     *              (default '`native`'). Use '`jwt`' when the backend returns
+     *              a `JSON Web Token`, '`flat`', '`hal`' or '`jsonapi`' for the
+     *              other built in layouts (see
+     *              {@link angularShiro.services.responseParsers responseParsers}),
+     *              or describe the response layout through a mapping. A realm
+     *              can specify its own parser through its `parser` option.
+     * 
+     * @param {string|object}
+     *                responseParser the name of a registered parser or of a
+     *                parser service, or a mapping (see
+     *                {@link angularShiro.services.MappedResponseParser MappedResponseParser})
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setResponseParser('jwt');
+     *     // or
+     *     config.setResponseParser({
+     * 	format : 'jsonapi',
+     * 	principal : 'data.id'
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setResponseParser = function(responseParser) {
+	options.responseParser = responseParser;
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#addResponseParser
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Registers a response parser under the given name, so that
+     *              it can be used as the `responseParser` or as the `parser`
+     *              of a realm
+     * 
+     * @param {string}
+     *                name the parser name
+     * @param {string|object|function|array}
+     *                parser the name of a parser service, a parser object (ie
+     *                exposing a `parse(data)` method), a mapping or an
+     *                injectable function returning the parser
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.addResponseParser('legacy', {
+     * 	principal : 'account.login',
+     * 	credentials : 'account',
+     * 	roles : 'account.groups',
+     * 	required : [ 'principal', 'roles' ]
+     *     });
+     *     config.addRealm({
+     * 	api : '/legacy/authenticate',
+     * 	parser : 'legacy'
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.addResponseParser = function(name, parser) {
+	options.parsers[name] = parser;
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setJwtOptions
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Configure how the `JSON Web Token` claims are mapped by
+     *              the {@link angularShiro.services.JwtResponseParser
+     *              JwtResponseParser}
+     * 
+     * @param {object}
+     *                jwtOptions the claims mapping
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setJwtOptions({
+     * 	token : 'access_token',
+     * 	roles : 'groups',
+     * 	permissions : 'scope'
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setJwtOptions = function(jwtOptions) {
+	angular.extend(options.jwt, jwtOptions);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setAuthorizationHeader
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Configure the header added by the
+     *              {@link angularShiro.services.angularShiroHttpInterceptor angularShiroHttpInterceptor}
+     * 
+     * @param {object}
+     *                httpOptions the header options : `urls` the path patterns
+     *                of the secured requests (default `['/api/**']`), `header`
+     *                the header name (default `'Authorization'`), `scheme`
+     *                `'Bearer'` (default), `'Basic'` or `null`, `template`
+     *                the value template, and `principalProperty` the path of
+     *                the username in an object principal for the `Basic`
+     *                scheme (default `'login'`)
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setAuthorizationHeader({
+     * 	urls : [ '/api/**', '/reports/**' ],
+     * 	header : 'X-Api-Key',
+     * 	scheme : null,
+     * 	template : '{{credentials.apiKey}}'
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setAuthorizationHeader = function(httpOptions) {
+	angular.extend(options.http, httpOptions);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setUnauthorizedPath
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description The `unauthorizedPath` specifies the path to apply to
+     *              `$location` when the backend denies the access to a
+     *              resource (`403` status)
+     * 
+     * @param {string}
+     *                unauthorizedPath the access denied page path
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setUnauthorizedPath('/access-denied');
+     * } ]);
+     * </pre>
+     */
+    this.setUnauthorizedPath = function(unauthorizedPath) {
+	options.unauthorized.path = unauthorizedPath;
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setLoginState
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description The `ui-router` state entered, in place of the login path,
+     *              when an unauthenticated user attempts to enter a protected
+     *              state (see {@link angularShiro.services.stateGuard stateGuard})
+     * 
+     * @param {string}
+     *                loginState the name of the login state
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setLoginState('login');
+     * } ]);
+     * </pre>
+     */
+    this.setLoginState = function(loginState) {
+	options.login.state = loginState;
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setUnauthorizedState
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description The `ui-router` state entered, in place of the
+     *              `unauthorizedPath`, when the Subject lacks a role or a
+     *              permission required by a state (see
+     *              {@link angularShiro.services.stateGuard stateGuard})
+     * 
+     * @param {string}
+     *                unauthorizedState the name of the access denied state
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setUnauthorizedState('accessDenied');
+     * } ]);
+     * </pre>
+     */
+    this.setUnauthorizedState = function(unauthorizedState) {
+	options.unauthorized.state = unauthorizedState;
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setAccessDeniedHandler
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description The `accessDeniedHandler` is invoked when the backend
+     *              denies the access to a resource (`403` status), in place of
+     *              the redirection to the `unauthorizedPath`
+     * 
+     * @param {function|array}
+     *                handler an injectable function; the rejected response is
+     *                available for injection under the name `rejection`
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setAccessDeniedHandler([ 'rejection', 'notifier', function(rejection, notifier) {
+     * 	notifier.error('You are not allowed to access ' + rejection.config.url);
+     *     } ]);
+     * } ]);
+     * </pre>
+     */
+    this.setAccessDeniedHandler = function(handler) {
+	options.unauthorized.handler = handler;
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setRefreshOptions
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Configure the renewal of the access token by the
+     *              {@link angularShiro.services.tokenRefresher tokenRefresher}
+     * 
+     * @param {object}
+     *                refreshOptions the renewal options : `api` the uri called
+     *                with the refresh token (no renewal when `null`, the
+     *                default), `leeway` the number of seconds before the access
+     *                token expiration the renewal occurs (default `60`), and
+     *                `parser` the name of the service parsing the response
+     *                (default the configured `responseParser`)
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setRefreshOptions({
+     * 	api : '/api/token/refresh',
+     * 	leeway : 30
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setRefreshOptions = function(refreshOptions) {
+	angular.extend(options.refresh, refreshOptions);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setRememberMeOptions
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Configure the exchange of the remember me token issued by
+     *              the backend when the Subject asks to be remembered
+     * 
+     * @param {object}
+     *                rememberMeOptions the remember me options : `api` the uri
+     *                the token is exchanged at (the Subject is never remembered
+     *                when `null`, the default), and `parser` the name of the
+     *                service parsing the response (default the configured
+     *                `responseParser`)
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setRememberMeOptions({
+     * 	api : '/api/remember-me'
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setRememberMeOptions = function(rememberMeOptions) {
+	angular.extend(options.rememberMe, rememberMeOptions);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setMfaOptions
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Configure the second factor authentication step
+     * 
+     * @param {object}
+     *                mfaOptions the second factor options : `api` the uri the
+     *                challenge code is sent to, and `parser` the name of the
+     *                service parsing the response (default the configured
+     *                `responseParser`)
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setMfaOptions({
+     * 	api : '/api/authenticate/challenge'
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setMfaOptions = function(mfaOptions) {
+	angular.extend(options.mfa, mfaOptions);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setRunAsOptions
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Configure the uri fetching the informations of the user a
+     *              Subject runs as (see `Subject.runAs(principals)`)
+     * 
+     * @param {object}
+     *                runAsOptions the run as options : `api` the uri the
+     *                principal to run as is posted to, and `parser` the name
+     *                of the service parsing the response (default the
+     *                configured `responseParser`)
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setRunAsOptions({
+     * 	api : '/api/run-as'
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setRunAsOptions = function(runAsOptions) {
+	angular.extend(options.runAs, runAsOptions);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setAuthorizationOptions
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Configure the uri the authorization informations are
+     *              fetched from after each login and page reload, and on
+     *              demand (see `Subject.reloadAuthorization()`). Without it
+     *              the authorization informations are the ones of the login
+     *              response.
+     * 
+     * @param {object}
+     *                authzOptions the authorization options : `api` the uri
+     *                read with a `GET`, `mapping` the paths of the `roles`,
+     *                `permissions`, `roleHierarchy` and `rolePermissions` in
+     *                the response (default the properties of the same names),
+     *                or `parser` the name of a response parser whose `authz`
+     *                result is kept
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setAuthorizationOptions({
+     * 	api : '/api/me/authorization',
+     * 	mapping : {
+     * 	    roles : 'data.groups',
+     * 	    permissions : 'data.grants'
+     * 	}
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setAuthorizationOptions = function(authzOptions) {
+	angular.extend(options.authz, authzOptions);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setThrottleOptions
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Configure the delay imposed on a principal after failed
+     *              login attempts (see
+     *              {@link angularShiro.services.LoginThrottle LoginThrottle}).
+     *              The login attempts are not throttled by default.
+     * 
+     * @param {object}
+     *                throttleOptions the throttle options : `backoff` the wait
+     *                in seconds after the first failure, doubled after each
+     *                following one (`0` disables the backoff), `maxBackoff` the
+     *                longest wait in seconds (default `300`), `maxAttempts` the
+     *                number of failures locking the principal out (`0`
+     *                disables the lockout) and `lockout` the lockout duration
+     *                in seconds (default `900`)
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setThrottleOptions({
+     * 	backoff : 1,
+     * 	maxAttempts : 5
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setThrottleOptions = function(throttleOptions) {
+	angular.extend(options.throttle, throttleOptions);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setRoleHierarchy
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Declare the roles included by each role (see
+     *              {@link angularShiro.services.RolePermissionResolver RolePermissionResolver}).
+     *              The hierarchy delivered by the backend along with the
+     *              authorization informations extends this one.
+     * 
+     * @param {object}
+     *                hierarchy the role names mapped to the included role
+     *                names
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setRoleHierarchy({
+     * 	'ADMIN' : [ 'EDITOR' ],
+     * 	'EDITOR' : [ 'VIEWER' ]
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setRoleHierarchy = function(hierarchy) {
+	angular.extend(options.roles.hierarchy, hierarchy);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setRolePermissions
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Declare the permissions granted by each role; the Subject
+     *              is granted the permissions of all its roles, including the
+     *              inherited ones
+     * 
+     * @param {object}
+     *                rolePermissions the role names mapped to the granted
+     *                permissions
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setRolePermissions({
+     * 	'EDITOR' : [ 'book:edit' ],
+     * 	'VIEWER' : [ 'book:view' ]
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setRolePermissions = function(rolePermissions) {
+	angular.extend(options.roles.permissions, rolePermissions);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setInstanceIdentifier
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Set how the identifier of a domain object is extracted
+     *              when a permission is checked against it, for example
+     *              `subject.isPermitted('document:edit', doc)`. Either the
+     *              path of the identifier in the object (default `'id'`) or a
+     *              function receiving the object and returning its
+     *              identifier
+     * 
+     * @param {string|function}
+     *                identifier the path of the identifier or the extracting
+     *                function
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setInstanceIdentifier(function(instance) {
+     * 	return instance.ref || instance.uuid;
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setInstanceIdentifier = function(identifier) {
+	options.instanceIdentifier = identifier;
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setPermissionOptions
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Set the `wildcard`, `partDivider` and `subpartDivider`
+     *              tokens and the `caseSensitive` flag of the wildcard
+     *              permissions resolved by the default
+     *              {@link angularShiro.services.PermissionResolver PermissionResolver}
+     * 
+     * @param {object}
+     *                permissions the permission options
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setPermissionOptions({
+     * 	partDivider : '.'
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setPermissionOptions = function(permissions) {
+	angular.extend(options.permissions, permissions);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#addPermissionResolver
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Register a resolver of the permission strings : an object
+     *              whose `resolvePermission(permission)` method returns a
+     *              permission object (any object with an
+     *              `implies(permission)` method, receiving the resolved
+     *              permission to check) or `null` for the strings it does not
+     *              support. The resolvers are tried in the order of
+     *              registration, before the default wildcard one; they can not
+     *              depend on the `authorizer` and `subject` services.
+     * 
+     * @param {string|function|array|object}
+     *                resolver the name of a service, an injectable function
+     *                returning the resolver, or the resolver itself
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.addPermissionResolver({
+     * 	resolvePermission : function(permission) {
+     * 	    if (permission.indexOf('ROLE_') !== 0) {
+     * 		return null;
+     * 	    }
+     * 	    return {
+     * 		role : permission,
+     * 		implies : function(other) {
+     * 		    return other.role === permission;
+     * 		}
+     * 	    };
+     * 	}
+     *     });
+     *     config.addPermissionResolver(new PermissionResolver({
+     * 	pattern : /^scope\//,
+     * 	partDivider : '/'
+     *     }));
+     * } ]);
+     * </pre>
+     */
+    this.addPermissionResolver = function(resolver) {
+	options.permissionResolvers.push(resolver);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#addPolicy
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Register a named access control policy (see
+     *              {@link angularShiro.services.PolicyEngine PolicyEngine}),
+     *              evaluated by `Subject.isPermittedBy(name, resource)` and
+     *              the `permitted-by` directive. The policies can not depend
+     *              on the `subject` service.
+     * 
+     * @param {string}
+     *                name the policy name
+     * @param {string|array|function}
+     *                policy the name of a service, an injectable array
+     *                returning the policy, or the policy itself : a function
+     *                receiving the Subject `attributes`, the `resource` and
+     *                the `environment`, returning `true` to grant the access
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.addPolicy('canApproveExpense', [ 'expenseLimits', function(limits) {
+     * 	return function(attributes, expense) {
+     * 	    return attributes.principal.manager && expense.costCenter === attributes.principal.costCenter
+     * 		    && expense.amount < limits.approval;
+     * 	};
+     *     } ]);
+     * } ]);
+     * </pre>
+     */
+    this.addPolicy = function(name, policy) {
+	options.policies[name] = policy;
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setDebug
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Log each decision of the directives and of the path
+     *              filters with `$log.debug`, along with the explanation of
+     *              the permission checks (see
+     *              `Subject.explain(permission)`)
+     * 
+     * @param {boolean}
+     *                debug `true` to log the decisions
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setDebug(true);
+     * } ]);
+     * </pre>
+     */
+    this.setDebug = function(debug) {
+	options.debug = debug;
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#setExceptionOptions
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Configure how the failed login responses are mapped to
+     *              {@link angularShiro.services.AuthenticationException AuthenticationException}
+     *              types. The code found at `codePath` in the response body is
+     *              looked up in `codes`, then the response status in
+     *              `statuses`; the given `codes` and `statuses` are added to
+     *              the default ones. A `mapper` injectable, receiving the
+     *              `data`, `status` and `headers` of the response, may return
+     *              an exception or an exception name first.
+     * 
+     * @param {object}
+     *                exceptionOptions the exception options : `mapper`,
+     *                `codePath` (default `'code'`), `codes` and `statuses`
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.setExceptionOptions({
+     * 	codePath : 'error.reason',
+     * 	codes : {
+     * 	    'account_suspended' : 'DisabledAccountException'
+     * 	}
+     *     });
+     * } ]);
+     * </pre>
+     */
+    this.setExceptionOptions = function(exceptionOptions) {
+	angular.forEach(exceptionOptions, function(value, key) {
+	    if (key === 'codes' || key === 'statuses') {
+		angular.extend(options.exceptions[key], value);
+	    } else {
+		options.exceptions[key] = value;
+	    }
+	});
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#addAuthenticationListener
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Register a listener notified of the Subject lifecycle (see
+     *              `Subject.addAuthenticationListener(listener)` for the
+     *              methods a listener may implement). The listeners are
+     *              registered on the Subject when the application starts, they
+     *              can therefore depend on the `subject` service.
+     * 
+     * @param {string|function|array|object}
+     *                listener the name of a service, an injectable function
+     *                returning the listener, or the listener itself
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.addAuthenticationListener([ 'analytics', function(analytics) {
+     * 	return {
+     * 	    onSuccess : function(token, infos) {
+     * 		analytics.track('login', infos.authc.getPrincipal());
+     * 	    }
+     * 	};
+     *     } ]);
+     * } ]);
+     * </pre>
+     */
+    this.addAuthenticationListener = function(listener) {
+	options.authenticationListeners.push(listener);
+    };
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name AngularShiroConfigProvider#secureService
+     * @methodOf angularShiro.services.angularShiroConfigProvider
+     * 
+     * @description Guard the methods of a service : a call is rejected with
+     *              an `UnauthenticatedException` or an
+     *              `UnauthorizedException` when the Subject does not meet the
+     *              requirement of the method (see
+     *              {@link angularShiro.services.secureServiceDecorator secureServiceDecorator})
+     * 
+     * @param {string}
+     *                name the name of the service
+     * @param {object}
+     *                requirements the requirements by method name, written
+     *                like the filters of the paths : `authc`,
+     *                `perms[permissions]` or `roles[roles]`, or an array of
+     *                them
+     * @param {boolean|array=}
+     *                async `true` when all the methods return a promise, or the
+     *                names of the methods returning a promise, which then
+     *                return a rejected promise instead of throwing
+     * 
+     * @example
+     * 
+     * <pre>
+     * app.config([ 'angularShiroConfigProvider', function(config) {
+     *     config.secureService('invoiceService', {
+     * 	remove : 'perms[invoice:delete]',
+     * 	approve : [ 'roles[MANAGER]', 'perms[invoice:approve]' ]
+     *     }, true);
+     * } ]);
+     * </pre>
+     */
+    this.secureService = function(name, requirements, async) {
+	$provide.decorator(name, secureServiceDecorator(name, requirements, async));
+    };
+
     this.setTokenSid = function (tsid) {
         options.tokenSid=tsid;
     };
@@ -0,0 +1,95 @@
+'use strict';
+
+/* globals RememberMeToken, UsernamePasswordToken */
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.angularShiroEvents
+ *
+ * @description Names of the events broadcast on the `$rootScope` along the
+ *              Subject lifecycle :
+ *
+ * | Event | Broadcast when | Data |
+ * | ----- | -------------- | ---- |
+ * | `angularShiro:loginSuccess` | the Subject logs in | `principal` |
+ * | `angularShiro:loginFailure` | a login attempt fails | `principal` (username tokens only), `error` |
+ * | `angularShiro:logout` | the Subject logs out | `principal` |
+ * | `angularShiro:sessionExpired` | the backend no longer considers the Subject authenticated | `principal` |
+ * | `angularShiro:rememberMeRestored` | the Subject is restored from the stored informations (`source` `'session'`) or the remember me token (`source` `'rememberMe'`) | `principal`, `source` |
+ * | `angularShiro:authorizationChanged` | the Subject roles and permissions change | `authorizationInfo` (`null` once cleared) |
+ *
+ * <pre>
+ * $rootScope.$on(angularShiroEvents.logout, function(event, data) {
+ *     cache.removeAll();
+ * });
+ * </pre>
+ *
+ * @since 0.2.0
+ */
+var angularShiroEvents = {
+    loginSuccess : 'angularShiro:loginSuccess',
+    loginFailure : 'angularShiro:loginFailure',
+    logout : 'angularShiro:logout',
+    sessionExpired : 'angularShiro:sessionExpired',
+    rememberMeRestored : 'angularShiro:rememberMeRestored',
+    authorizationChanged : 'angularShiro:authorizationChanged'
+};
+
+/**
+ * @ngdoc service
+ * @name angularShiro.services.angularShiroEventBroadcaster
+ * @requires $rootScope
+ * @requires angularShiro.services.angularShiroEvents
+ *
+ * @description Authentication listener broadcasting the
+ *              {@link angularShiro.services.angularShiroEvents angularShiroEvents}
+ *              on the `$rootScope`. It is registered on the Subject when the
+ *              latter is created.
+ *
+ * @since 0.2.0
+ */
+var angularShiroEventBroadcaster = [ '$rootScope', 'angularShiroEvents',
+	function AngularShiroEventBroadcaster($rootScope, events) {
+	    return {
+		onSuccess : function(token, infos) {
+		    if (token instanceof RememberMeToken) {
+			$rootScope.$broadcast(events.rememberMeRestored, {
+			    principal : infos.authc.getPrincipal(),
+			    source : 'rememberMe'
+			});
+		    } else {
+			$rootScope.$broadcast(events.loginSuccess, {
+			    principal : infos.authc.getPrincipal()
+			});
+		    }
+		},
+		onFailure : function(token, error) {
+		    $rootScope.$broadcast(events.loginFailure, {
+			// the other tokens hold secrets instead of a principal
+			principal : (token instanceof UsernamePasswordToken) ? token.getPrincipal() : null,
+			error : error
+		    });
+		},
+		onLogout : function(principal) {
+		    $rootScope.$broadcast(events.logout, {
+			principal : principal
+		    });
+		},
+		onExpired : function(principal) {
+		    $rootScope.$broadcast(events.sessionExpired, {
+			principal : principal
+		    });
+		},
+		onRestored : function(infos) {
+		    $rootScope.$broadcast(events.rememberMeRestored, {
+			principal : infos.authc.getPrincipal(),
+			source : 'session'
+		    });
+		},
+		onAuthorizationChanged : function(authorizationInfo) {
+		    $rootScope.$broadcast(events.authorizationChanged, {
+			authorizationInfo : authorizationInfo
+		    });
+		}
+	    };
+	} ];
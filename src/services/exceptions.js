@@ -0,0 +1,166 @@
+'use strict';
+
+/* globals getPathValue */
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.AuthenticationException
+ *
+ * @description Root of the exceptions rejecting a login attempt. The
+ *              exceptions follow the Shiro hierarchy :
+ *
+ * - `AuthenticationException` : the backend could not be reached, answered
+ * with an unexpected status or an unreadable response
+ *   - `AccountException` : the account can not log in
+ *     - `UnknownAccountException`
+ *     - `LockedAccountException`
+ *     - `DisabledAccountException`
+ *     - `ExcessiveAttemptsException`
+ *   - `CredentialsException` : the credentials are refused
+ *     - `IncorrectCredentialsException`
+ *     - `ExpiredCredentialsException`
+ *
+ * Each exception exposes its `name`, a `message` and, when thrown from a
+ * backend response, the response `data` and `status`. The exceptions are
+ * mapped from the responses according to the `exceptions` options (see
+ * `angularShiroConfigProvider.setExceptionOptions(options)`).
+ *
+ * @param {string}
+ *                message the exception message
+ * @param {*=}
+ *                data the response data
+ * @param {number=}
+ *                status the response status
+ *
+ * @since 0.2.0
+ */
+function AuthenticationException(message, data, status) {
+    this.name = 'AuthenticationException';
+    this.message = message;
+    this.data = data;
+    this.status = status;
+}
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.AuthorizationException
+ *
+ * @description Root of the exceptions thrown by the `check*` methods of the
+ *              Subject :
+ *
+ * - `UnauthenticatedException` : the Subject is not authenticated
+ * - `UnauthorizedException` : the Subject lacks a role or a permission
+ *
+ * Each exception exposes its `name`, a `message` and the failed
+ * `requirement` : its `type` (`authenticated`, `role` or `permission`), the
+ * required `value` and, for a permission checked against a domain object, the
+ * `instance`.
+ *
+ * @param {string}
+ *                message the exception message
+ * @param {object}
+ *                requirement the failed requirement
+ *
+ * @since 0.2.0
+ */
+function AuthorizationException(message, requirement) {
+    this.name = 'AuthorizationException';
+    this.message = message;
+    this.requirement = requirement;
+}
+
+/**
+ * Declare an exception type extending the given parent type
+ *
+ * @param {string}
+ *                name the exception name
+ * @param {function}
+ *                Parent the parent exception type
+ * @returns {function} the exception constructor
+ * @private
+ */
+function defineException(name, Parent) {
+    var Exception = function() {
+	Parent.apply(this, arguments);
+	this.name = name;
+    };
+    Exception.prototype = Object.create(Parent.prototype);
+    Exception.prototype.constructor = Exception;
+    return Exception;
+}
+
+var AccountException = defineException('AccountException', AuthenticationException);
+var UnknownAccountException = defineException('UnknownAccountException', AccountException);
+var LockedAccountException = defineException('LockedAccountException', AccountException);
+var DisabledAccountException = defineException('DisabledAccountException', AccountException);
+var ExcessiveAttemptsException = defineException('ExcessiveAttemptsException', AccountException);
+var CredentialsException = defineException('CredentialsException', AuthenticationException);
+var IncorrectCredentialsException = defineException('IncorrectCredentialsException', CredentialsException);
+var ExpiredCredentialsException = defineException('ExpiredCredentialsException', CredentialsException);
+
+var UnauthenticatedException = defineException('UnauthenticatedException', AuthorizationException);
+var UnauthorizedException = defineException('UnauthorizedException', AuthorizationException);
+
+var authenticationExceptions = {
+    'AuthenticationException' : AuthenticationException,
+    'AccountException' : AccountException,
+    'UnknownAccountException' : UnknownAccountException,
+    'LockedAccountException' : LockedAccountException,
+    'DisabledAccountException' : DisabledAccountException,
+    'ExcessiveAttemptsException' : ExcessiveAttemptsException,
+    'CredentialsException' : CredentialsException,
+    'IncorrectCredentialsException' : IncorrectCredentialsException,
+    'ExpiredCredentialsException' : ExpiredCredentialsException
+};
+
+/**
+ * Map the error rejecting a login attempt to an `AuthenticationException`.
+ * The `mapper` option is invoked first; when it does not return an exception
+ * the body code, then the status of the response are looked up in the `codes`
+ * and `statuses` options. A name missing from the hierarchy gives a generic
+ * `AuthenticationException` carrying that name.
+ *
+ * @param {*}
+ *                error the error : a `[data, status, headers, config]` http
+ *                response, an exception or a message
+ * @param {object}
+ *                options the `exceptions` options
+ * @param {object}
+ *                $injector the angular `$injector` service
+ * @returns {AuthenticationException} the exception
+ * @private
+ */
+function toAuthenticationException(error, options, $injector) {
+    if (error instanceof AuthenticationException) {
+	return error;
+    }
+    if (!angular.isArray(error)) {
+	var message = (angular.isObject(error) && error.message) ? error.message : String(error);
+	return new AuthenticationException(message, error);
+    }
+    var data = error[0], status = error[1];
+    var exception = null;
+    if (options.mapper) {
+	exception = $injector.invoke(options.mapper, null, {
+	    data : data,
+	    status : status,
+	    headers : error[2]
+	});
+    }
+    if (!exception) {
+	var code = (options.codePath && angular.isObject(data)) ? getPathValue(data, options.codePath) : null;
+	exception = (code && options.codes[code]) || options.statuses[status] || null;
+    }
+    if (angular.isString(exception)) {
+	var name = exception;
+	var Exception = authenticationExceptions[name] || AuthenticationException;
+	exception = new Exception((angular.isObject(data) && data.message) || name, data, status);
+	// an unknown name is kept on the generic exception
+	exception.name = name;
+    }
+    if (!exception) {
+	var reason = (status > 0) ? 'answered with status ' + status : 'could not be reached';
+	exception = new AuthenticationException('The authentication server ' + reason + '.', data, status);
+    }
+    return exception;
+}
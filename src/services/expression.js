@@ -0,0 +1,282 @@
+'use strict';
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.AuthorizationExpressionParser
+ *
+ * @description `AuthorizationExpressionParser` compiles the boolean
+ *              authorization expressions evaluated by
+ *              `Subject.evaluate(expression)` and the `shiro-if` directive,
+ *              for example :
+ *
+ * <pre>
+ * authenticated && (hasRole('ADMIN') || isPermitted('report:view')) && !hasRole('SUSPENDED')
+ * </pre>
+ *
+ * The language only knows the `&&`, `||` and `!` operators, the parentheses,
+ * the `true` and `false` literals and :
+ *
+ * - the `authenticated`, `guest`, `remembered` and `runAs` flags of the Subject ;
+ * - the `hasRole`, `lacksRole`, `hasAnyRole`, `hasAllRoles`, `isPermitted`,
+ * `lacksPermission`, `hasAnyPermission` and `isPermittedAll` checks, whose
+ * arguments are quoted strings or arrays of quoted strings.
+ *
+ * Nothing else is evaluated, so an expression can not reach the scope nor the
+ * window. The compiled expressions are cached.
+ *
+ * @since 0.2.0
+ */
+function AuthorizationExpressionParser() {
+
+    /**
+     * @name AuthorizationExpressionParser#cache
+     * @propertyOf angularShiro.services.AuthorizationExpressionParser
+     * @description the compiled expressions, by expression
+     */
+    this.cache = {};
+
+    var flags = {
+	'authenticated' : function(subject) {
+	    return subject.isAuthenticated();
+	},
+	'guest' : function(subject) {
+	    return !subject.isAuthenticated();
+	},
+	'remembered' : function(subject) {
+	    return subject.isRemembered();
+	},
+	'runAs' : function(subject) {
+	    return subject.isRunAs();
+	}
+    };
+
+    var checks = {
+	'hasRole' : function(subject, values) {
+	    return subject.hasRole(values[0]);
+	},
+	'lacksRole' : function(subject, values) {
+	    return !subject.hasRole(values[0]);
+	},
+	'hasAnyRole' : function(subject, values) {
+	    return subject.hasRoles(values).indexOf(true) > -1;
+	},
+	'hasAllRoles' : function(subject, values) {
+	    return subject.hasAllRoles(values);
+	},
+	'isPermitted' : function(subject, values) {
+	    return subject.isPermitted(values[0]);
+	},
+	'lacksPermission' : function(subject, values) {
+	    return !subject.isPermitted(values[0]);
+	},
+	'hasAnyPermission' : function(subject, values) {
+	    var results = subject.isPermitted(values);
+	    return angular.isArray(results) && results.indexOf(true) > -1;
+	},
+	'isPermittedAll' : function(subject, values) {
+	    return subject.isPermittedAll(values);
+	}
+    };
+
+    var and = function(left, right) {
+	return function(subject) {
+	    return left(subject) && right(subject);
+	};
+    };
+
+    var or = function(left, right) {
+	return function(subject) {
+	    return left(subject) || right(subject);
+	};
+    };
+
+    var TOKEN_PATTERN = /\s*(?:(&&|\|\||[!(),\[\]])|'([^']*)'|"([^"]*)"|([A-Za-z_$][\w$]*))\s*/g;
+
+    /**
+     * Split the expression into operator, string and identifier tokens
+     *
+     * @private
+     */
+    var tokenize = function(expression) {
+	var tokens = [];
+	var index = 0, match;
+	while (index < expression.length) {
+	    TOKEN_PATTERN.lastIndex = index;
+	    match = TOKEN_PATTERN.exec(expression);
+	    if (match === null || match.index !== index) {
+		throw '[AuthorizationExpression] Unexpected character at column ' + (index + 1) + ' of \'' + expression
+			+ '\'.';
+	    }
+	    if (angular.isDefined(match[1])) {
+		tokens.push({
+		    operator : match[1],
+		    index : index
+		});
+	    } else if (angular.isDefined(match[4])) {
+		tokens.push({
+		    identifier : match[4],
+		    index : index
+		});
+	    } else {
+		tokens.push({
+		    string : angular.isDefined(match[2]) ? match[2] : match[3],
+		    index : index
+		});
+	    }
+	    index = TOKEN_PATTERN.lastIndex;
+	}
+	return tokens;
+    };
+
+    /**
+     * Compile the tokens by recursive descent into a function of the Subject
+     *
+     * @private
+     */
+    var compile = function(expression, tokens) {
+	var position = 0;
+
+	var fail = function(message) {
+	    var token = tokens[position];
+	    var where = token ? ' at column ' + (token.index + 1) : ' at the end';
+	    throw '[AuthorizationExpression] ' + message + where + ' of \'' + expression + '\'.';
+	};
+	var peek = function(operator) {
+	    return position < tokens.length && tokens[position].operator === operator;
+	};
+	var expect = function(operator) {
+	    if (!peek(operator)) {
+		fail('Expected \'' + operator + '\'');
+	    }
+	    position++;
+	};
+
+	var orExpression, string, values, primary, unary, andExpression;
+
+	string = function() {
+	    if (position >= tokens.length || !angular.isDefined(tokens[position].string)) {
+		fail('Expected a quoted string');
+	    }
+	    return tokens[position++].string;
+	};
+
+	values = function() {
+	    var result = [];
+	    expect('(');
+	    while (!peek(')')) {
+		if (result.length > 0) {
+		    expect(',');
+		}
+		if (peek('[')) {
+		    position++;
+		    result.push(string());
+		    while (peek(',')) {
+			position++;
+			result.push(string());
+		    }
+		    expect(']');
+		} else {
+		    result.push(string());
+		}
+	    }
+	    expect(')');
+	    return result;
+	};
+
+	primary = function() {
+	    if (peek('(')) {
+		position++;
+		var inner = orExpression();
+		expect(')');
+		return inner;
+	    }
+	    var token = tokens[position];
+	    if (!token || !angular.isDefined(token.identifier)) {
+		fail('Expected a check');
+	    }
+	    var name = token.identifier;
+	    if (name === 'true' || name === 'false') {
+		position++;
+		var value = (name === 'true');
+		return function() {
+		    return value;
+		};
+	    }
+	    if (flags.hasOwnProperty(name)) {
+		position++;
+		return flags[name];
+	    }
+	    if (checks.hasOwnProperty(name)) {
+		position++;
+		var check = checks[name], args = values();
+		if (args.length === 0) {
+		    fail('Missing the arguments of ' + name);
+		}
+		return function(subject) {
+		    return check(subject, args);
+		};
+	    }
+	    fail('Unknown check \'' + name + '\'');
+	};
+
+	unary = function() {
+	    if (peek('!')) {
+		position++;
+		var operand = unary();
+		return function(subject) {
+		    return !operand(subject);
+		};
+	    }
+	    return primary();
+	};
+
+	andExpression = function() {
+	    var left = unary();
+	    while (peek('&&')) {
+		position++;
+		left = and(left, unary());
+	    }
+	    return left;
+	};
+
+	orExpression = function() {
+	    var left = andExpression();
+	    while (peek('||')) {
+		position++;
+		left = or(left, andExpression());
+	    }
+	    return left;
+	};
+
+	var compiled = orExpression();
+	if (position < tokens.length) {
+	    fail('Unexpected token');
+	}
+	return compiled;
+    };
+
+    /**
+     * @ngdoc method
+     * @name AuthorizationExpressionParser#parse
+     * @methodOf angularShiro.services.AuthorizationExpressionParser
+     *
+     * @description Compiles the expression, or returns the cached compilation
+     *
+     * @param {string}
+     *                expression the authorization expression
+     * @return {function} a function of the Subject returning the boolean value
+     *         of the expression
+     */
+    this.parse = function(expression) {
+	if (!angular.isString(expression) || expression.trim() === '') {
+	    throw '[AuthorizationExpression] The expression is empty.';
+	}
+	if (!this.cache.hasOwnProperty(expression)) {
+	    var compiled = compile(expression, tokenize(expression));
+	    this.cache[expression] = function(subject) {
+		return !!compiled(subject);
+	    };
+	}
+	return this.cache[expression];
+    };
+}
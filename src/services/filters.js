@@ -391,11 +391,14 @@ var anonymousFilter = [ 'subject', '$log', function AnonymousFilter(subject, $lo
  * forces the user to login by redirecting to the configured login.path
  */
 var formAuthenticationFilter = [ '$rootScope', 'subject', 'angularShiroConfig', '$location', '$timeout', '$log',
-	function FormAuthenticationFilter($rootScope, subject, config, $location, $timeout, $log) {
+	'angularShiroTracer',
+	function FormAuthenticationFilter($rootScope, subject, config, $location, $timeout, $log, tracer) {
 	    return {
 		execute : function() {
 		    $log.debug('authc::execute');
-		    return this.isAccessAllowed() || this.onAccessDenied();
+		    var allowed = this.isAccessAllowed();
+		    tracer.trace('authc', 'authenticated', allowed);
+		    return allowed || this.onAccessDenied();
 		},
 		isAccessAllowed : function() {
 		    return subject.isAuthenticated();
@@ -410,18 +413,23 @@ var formAuthenticationFilter = [ '$rootScope', 'subject', 'angularShiroConfig',
 /**
  * Simple Filter that, upon location change, will immediately log-out the
  * currently executing <code>subject</code> and then redirect them to a
- * configured <code>redirectUrl</code>
+ * configured <code>redirectUrl</code> once the backend has been notified
  */
 var logoutFilter = [ 'subject', 'angularShiroConfig', '$location', '$timeout', '$log',
 	function LogoutFilter(subject, config, $location, $timeout, $log) {
 	    return {
 		execute : function() {
 		    $log.debug('logoutFilter::execute');
-		    subject.logout();
-		    $location.search('sessionId', null);
-		    if (config.logout && config.logout.path) {
-			$location.path(config.logout.path);
-		    }
+		    var redirect = function() {
+			$location.search('sessionId', null);
+			if (config.logout && config.logout.path) {
+			    $location.path(config.logout.path);
+			}
+		    };
+		    subject.logout().then(redirect, function() {
+			$log.warn('logoutFilter::the backend could not be notified of the logout');
+			redirect();
+		    });
 		    return true;
 		}
 	    };
@@ -431,12 +439,14 @@ var logoutFilter = [ 'subject', 'angularShiroConfig', '$location', '$timeout', '
  * by the mapped value, or denies access if the user does not have all of the
  * permissions specified.
  */
-var permsFilter = [ 'subject', 'angularShiroConfig', '$location', '$timeout', '$log',
-	function PermsFilter(subject, config, $location, $timeout, $log) {
+var permsFilter = [ 'subject', 'angularShiroConfig', '$location', '$timeout', '$log', 'angularShiroTracer',
+	function PermsFilter(subject, config, $location, $timeout, $log, tracer) {
 	    return {
 		execute : function(permissions) {
 		    $log.debug('perms::execute');
-		    return this.isAccessAllowed(permissions) || this.onAccessDenied();
+		    var allowed = this.isAccessAllowed(permissions);
+		    tracer.tracePermissions('perms', permissions, allowed);
+		    return allowed || this.onAccessDenied();
 		},
 		isAccessAllowed : function(permissions) {
 		    return subject.isPermittedAll(permissions);
@@ -452,12 +462,14 @@ var permsFilter = [ 'subject', 'angularShiroConfig', '$location', '$timeout', '$
  * mapped value, or denies access if the user does not have all of the roles
  * specified
  */
-var rolesFilter = [ 'subject', 'angularShiroConfig', '$location', '$timeout', '$log',
-	function RolesFilter(subject, config, $location, $timeout, $log) {
+var rolesFilter = [ 'subject', 'angularShiroConfig', '$location', '$timeout', '$log', 'angularShiroTracer',
+	function RolesFilter(subject, config, $location, $timeout, $log, tracer) {
 	    return {
 		execute : function(roles) {
 		    $log.debug('roles::execute');
-		    return this.isAccessAllowed(roles) || this.onAccessDenied();
+		    var allowed = this.isAccessAllowed(roles);
+		    tracer.trace('roles', roles, allowed);
+		    return allowed || this.onAccessDenied();
 		},
 		isAccessAllowed : function(roles) {
 		    return subject.hasAllRoles(roles);
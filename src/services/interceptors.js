@@ -0,0 +1,382 @@
+'use strict';
+
+/* globals PathMatcher, getPathValue */
+
+/**
+ * Resolve the given url against the current document location
+ *
+ * @param {string}
+ *                url the url to resolve
+ * @returns {object} an object exposing the `protocol`, `host` and `pathname`
+ *          of the url
+ * @private
+ */
+function resolveUrl(url) {
+    var anchor = document.createElement('a');
+    anchor.setAttribute('href', url);
+    // IE requires the href to be set twice to resolve relative urls
+    anchor.setAttribute('href', anchor.href);
+    return {
+	protocol : anchor.protocol,
+	host : anchor.host,
+	pathname : (anchor.pathname.charAt(0) === '/') ? anchor.pathname : '/' + anchor.pathname
+    };
+}
+
+/**
+ * Redirect to the login path, keeping the current url to be restored after
+ * login
+ *
+ * @param {object}
+ *                $location the angular `$location` service
+ * @param {object}
+ *                config the `angular-shiro` configuration
+ * @private
+ */
+function redirectToLogin($location, config) {
+    var path = $location.path();
+    if (path !== config.login.path) {
+	if (path !== '/') {
+	    sessionStorage.setItem(config.redirctSid, encodeURIComponent($location.url()));
+	}
+	$location.path(config.login.path);
+    }
+}
+
+/**
+ * @ngdoc service
+ * @name angularShiro.services.angularShiroHttpInterceptor
+ * @requires $injector
+ * @requires $interpolate
+ * @requires angularShiro.services.AngularShiroConfig
+ *
+ * @description `$http` interceptor attaching the authenticated Subject's
+ *              credentials to the outgoing requests.
+ *
+ * The interceptor is not registered by default :
+ *
+ * <pre>
+ * app.config([ '$httpProvider', function($httpProvider) {
+ *     $httpProvider.interceptors.push('angularShiroHttpInterceptor');
+ * } ]);
+ * </pre>
+ *
+ * The header is only added to the requests sent to the application origin
+ * whose path matches one of the configured `urls` patterns (see
+ * `angularShiroConfigProvider.setAuthorizationHeader(options)`). Requests to
+ * third-party origins are left untouched.
+ *
+ * # Schemes
+ *
+ * | Scheme | Header value |
+ * | ------ | ------------ |
+ * | `Bearer` | `Bearer <accessToken>` |
+ * | `Basic` | `Basic base64(<username>:<accessToken>)`, UTF-8 encoded |
+ * | `null` | the interpolated `template` |
+ *
+ * The `template` is interpolated against the `principal`, `credentials` and
+ * `accessToken` of the Subject; for example
+ * `'{{credentials.apiKey}}'`. When specified it replaces the default value of
+ * the `Bearer` and `Basic` schemes. Without a template, no header is added
+ * when the Subject holds no access token.
+ *
+ * The `Basic` username is the principal, or its `principalProperty` (default
+ * `login`) when the principal is an object. No header is added when the
+ * object has no such property.
+ *
+ * @since 0.2.0
+ */
+var angularShiroHttpInterceptor = [ '$injector', '$interpolate', 'angularShiroConfig',
+	function AngularShiroHttpInterceptor($injector, $interpolate, config) {
+	    var matcher = new PathMatcher();
+	    var origin = resolveUrl(window.location.href);
+
+	    var isSecuredUrl = function(url) {
+		var target = resolveUrl(url);
+		if (target.protocol !== origin.protocol || target.host !== origin.host) {
+		    return false;
+		}
+		var secured = false;
+		angular.forEach(config.http.urls, function(pattern) {
+		    secured = secured || matcher.match(pattern, target.pathname);
+		});
+		return secured;
+	    };
+
+	    // btoa only encodes Latin1 characters
+	    var toUtf8 = function(value) {
+		return encodeURIComponent(value).replace(/%([0-9A-F]{2})/g, function(match, hex) {
+		    return String.fromCharCode(parseInt(hex, 16));
+		});
+	    };
+
+	    var getHeaderValue = function(authc) {
+		var context = {
+		    principal : authc.getPrincipal(),
+		    credentials : authc.getCredentials(),
+		    accessToken : authc.getAccessToken()
+		};
+		var value = (config.http.template) ? $interpolate(config.http.template)(context) : null;
+		if (config.http.scheme === 'Bearer') {
+		    value = (value === null) ? context.accessToken : value;
+		    return (value) ? 'Bearer ' + value : null;
+		}
+		if (config.http.scheme === 'Basic') {
+		    var username = angular.isObject(context.principal) ? getPathValue(context.principal,
+			    config.http.principalProperty) : context.principal;
+		    if (value === null && context.accessToken && angular.isDefined(username) && username !== null
+			    && !angular.isObject(username)) {
+			value = username + ':' + context.accessToken;
+		    }
+		    return (value) ? 'Basic ' + window.btoa(toUtf8(value)) : null;
+		}
+		return value;
+	    };
+
+	    return {
+		request : function(request) {
+		    var subject = $injector.get('subject');
+		    if (subject.isAuthenticated() && isSecuredUrl(request.url)) {
+			request.headers = request.headers || {};
+			var header = config.http.header;
+			if (!angular.isDefined(request.headers[header])) {
+			    var value = getHeaderValue(subject.authenticationInfo);
+			    if (value) {
+				request.headers[header] = value;
+			    }
+			}
+		    }
+		    return request;
+		}
+	    };
+	} ];
+
+/**
+ * @ngdoc service
+ * @name angularShiro.services.authRetryQueue
+ * @requires $injector
+ * @requires angularShiro.services.Subject
+ * @requires angularShiro.services.AngularShiroConfig
+ *
+ * @description Queue of the requests rejected with a `401` status by the
+ *              backend. The queued requests are replayed once the Subject
+ *              successfully logs in again, or rejected when the login is
+ *              cancelled through `cancel()`.
+ *
+ * Each request is queued along with the principal it was sent for. The queue
+ * is cancelled when the Subject logs out, and the requests of another
+ * principal are rejected instead of being replayed with the credentials of the
+ * user logging in.
+ *
+ * @since 0.2.0
+ */
+var authRetryQueue = [ '$injector', 'subject', 'angularShiroConfig',
+	function AuthRetryQueue($injector, subject, config) {
+	    var queue = [];
+	    // the principal of the requests queued once the Subject expired
+	    var expiredPrincipal = null;
+
+	    var service = {
+		/**
+		 * @ngdoc method
+		 * @name authRetryQueue#append
+		 * @methodOf angularShiro.services.authRetryQueue
+		 *
+		 * @description Appends a request to the queue
+		 *
+		 * @param {object}
+		 *                request the `$http` request config
+		 * @param {object}
+		 *                deferred the deferred resolved with the replayed request
+		 *                response
+		 */
+		append : function(request, deferred) {
+		    queue.push({
+			request : request,
+			deferred : deferred,
+			principal : subject.isAuthenticated() ? subject.getPrincipal() : expiredPrincipal
+		    });
+		},
+
+		/**
+		 * @ngdoc method
+		 * @name authRetryQueue#size
+		 * @methodOf angularShiro.services.authRetryQueue
+		 *
+		 * @description Returns the number of queued requests
+		 *
+		 * @return {number} the number of queued requests
+		 */
+		size : function() {
+		    return queue.length;
+		},
+
+		/**
+		 * @ngdoc method
+		 * @name authRetryQueue#retryAll
+		 * @methodOf angularShiro.services.authRetryQueue
+		 *
+		 * @description Replays the queued requests with the current Subject
+		 *              credentials
+		 */
+		retryAll : function() {
+		    var $http = $injector.get('$http');
+		    var items = queue;
+		    queue = [];
+		    angular.forEach(items, function(item) {
+			if (item.request.headers) {
+			    delete item.request.headers[config.http.header];
+			}
+			$http(item.request).then(item.deferred.resolve, item.deferred.reject);
+		    });
+		},
+
+		/**
+		 * @ngdoc method
+		 * @name authRetryQueue#cancel
+		 * @methodOf angularShiro.services.authRetryQueue
+		 *
+		 * @description Rejects the queued requests, for example when the user
+		 *              cancels the login
+		 *
+		 * @param {*=}
+		 *                reason the rejection reason
+		 */
+		cancel : function(reason) {
+		    var items = queue;
+		    queue = [];
+		    angular.forEach(items, function(item) {
+			item.deferred.reject(reason);
+		    });
+		},
+
+		/**
+		 * Rejects the queued requests of another principal; the requests
+		 * queued while nobody was logged in are kept
+		 *
+		 * @private
+		 */
+		cancelOthers : function(principal, reason) {
+		    var items = queue;
+		    queue = [];
+		    angular.forEach(items, function(item) {
+			if (!item.principal || angular.equals(item.principal, principal)) {
+			    queue.push(item);
+			} else {
+			    item.deferred.reject(reason);
+			}
+		    });
+		}
+	    };
+
+	    subject.addAuthenticationListener({
+		onSuccess : function() {
+		    expiredPrincipal = null;
+		    service.cancelOthers(subject.getPrincipal(), 'The request was sent for another principal.');
+		    service.retryAll();
+		},
+		onExpired : function(principal) {
+		    if (!expiredPrincipal) {
+			expiredPrincipal = principal;
+		    }
+		    service.cancelOthers(expiredPrincipal, 'The request was sent for another principal.');
+		},
+		onLogout : function() {
+		    expiredPrincipal = null;
+		    service.cancel('The Subject logged out.');
+		}
+	    });
+
+	    return service;
+	} ];
+
+/**
+ * @ngdoc service
+ * @name angularShiro.services.angularShiroAuthErrorInterceptor
+ * @requires $q
+ * @requires $injector
+ * @requires $location
+ * @requires angularShiro.services.AngularShiroConfig
+ *
+ * @description `$http` interceptor handling the `401` and `403` responses of
+ *              the backend.
+ *
+ * On a `401` response the access token is first renewed through the
+ * {@link angularShiro.services.tokenRefresher tokenRefresher} and the request
+ * sent again, when a refresh token is available. Otherwise, or when the renewal
+ * fails, the Subject is no longer considered authenticated : the current url
+ * is kept to be restored after login, the request is queued in the
+ * {@link angularShiro.services.authRetryQueue authRetryQueue} then the user is
+ * redirected to the login path. The queued requests are replayed once the
+ * Subject logs in again.
+ *
+ * On a `403` response the access denied handler is invoked (see
+ * `angularShiroConfigProvider.setAccessDeniedHandler(handler)`) and the request
+ * is rejected.
+ *
+ * Requests whose config holds `ignoreAuthErrors : true` (such as the
+ * authentication requests) are not concerned.
+ *
+ * The interceptor is not registered by default :
+ *
+ * <pre>
+ * app.config([ '$httpProvider', function($httpProvider) {
+ *     $httpProvider.interceptors.push('angularShiroAuthErrorInterceptor');
+ * } ]);
+ * </pre>
+ *
+ * @since 0.2.0
+ */
+var angularShiroAuthErrorInterceptor = [ '$q', '$injector', '$location', 'angularShiroConfig',
+	function AngularShiroAuthErrorInterceptor($q, $injector, $location, config) {
+
+	    var onUnauthenticated = function(rejection) {
+		var deferred = $q.defer();
+		$injector.get('authRetryQueue').append(rejection.config, deferred);
+		$injector.get('subject').expire();
+		redirectToLogin($location, config);
+		return deferred.promise;
+	    };
+
+	    var onExpired = function(rejection) {
+		var tokenRefresher = $injector.get('tokenRefresher');
+		if (rejection.config.tokenRefreshed || !tokenRefresher.canRefresh()) {
+		    return onUnauthenticated(rejection);
+		}
+		rejection.config.tokenRefreshed = true;
+		return tokenRefresher.refresh().then(function() {
+		    if (rejection.config.headers) {
+			delete rejection.config.headers[config.http.header];
+		    }
+		    return $injector.get('$http')(rejection.config);
+		}, function() {
+		    return onUnauthenticated(rejection);
+		});
+	    };
+
+	    var onAccessDenied = function(rejection) {
+		if (config.unauthorized.handler) {
+		    $injector.invoke(config.unauthorized.handler, null, {
+			rejection : rejection
+		    });
+		} else if (config.unauthorized.path) {
+		    $location.path(config.unauthorized.path);
+		}
+		return $q.reject(rejection);
+	    };
+
+	    return {
+		responseError : function(rejection) {
+		    if (!rejection.config || rejection.config.ignoreAuthErrors) {
+			return $q.reject(rejection);
+		    }
+		    if (rejection.status === 401) {
+			return onExpired(rejection);
+		    }
+		    if (rejection.status === 403) {
+			return onAccessDenied(rejection);
+		    }
+		    return $q.reject(rejection);
+		}
+	    };
+	} ];
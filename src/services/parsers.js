@@ -0,0 +1,218 @@
+'use strict';
+
+/* globals AuthenticationInfo, AuthorizationInfo, parseRememberMe, parseChallenge */
+
+/**
+ * Returns the value found in the data at the given dot separated path
+ * 
+ * @param {object}
+ *                data the parsed data
+ * @param {string|function}
+ *                path the dot separated path (ex : `'data.attributes.roles'`)
+ *                or a function returning the value out of the data
+ * @returns {*} the value or `undefined` if there is none
+ * @private
+ */
+function getPathValue(data, path) {
+    if (angular.isFunction(path)) {
+	return path(data);
+    }
+    var value = data;
+    var keys = path.split('.');
+    for ( var i = 0; i < keys.length; i++) {
+	if (!angular.isObject(value)) {
+	    return undefined;
+	}
+	value = value[keys[i]];
+    }
+    return value;
+}
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.MappedResponseParser
+ * 
+ * @description `MappedResponseParser` parses an authentication response whose
+ *              layout is described by a mapping. Each mapping entry is the dot
+ *              separated path of the corresponding information in the
+ *              response, or a function returning it out of the response :
+ * 
+ * <pre>
+ * {
+ *     principal : 'data.attributes.login',
+ *     credentials : 'data.attributes',
+ *     accessToken : 'meta.token',
+ *     refreshToken : 'meta.refreshToken',
+ *     // the access token lifetime in seconds, or its expiration time through `expiresAt`
+ *     expiresIn : 'meta.expiresIn',
+ *     roles : 'data.attributes.roles',
+ *     permissions : function(data) {
+ * 	return data.data.attributes.scope.split(' ');
+ *     },
+ *     rememberMe : 'meta.rememberMe',
+ *     // the roles included by each role and the permissions they grant, see RolePermissionResolver
+ *     roleHierarchy : 'meta.roles.hierarchy',
+ *     rolePermissions : 'meta.roles.permissions',
+ *     // the second factor challenge, see AuthenticationResponseParser
+ *     challenge : 'meta.challenge',
+ *     // the informations the response must hold, `['principal']` by default
+ *     required : [ 'principal', 'roles' ]
+ * }
+ * </pre>
+ * 
+ * Missing roles and permissions default to empty lists, missing credentials to
+ * an empty object.
+ * 
+ * @param {object}
+ *                mapping the response layout
+ * 
+ * @since 0.2.0
+ */
+function MappedResponseParser(mapping) {
+
+    var keys = [ 'principal', 'credentials', 'accessToken', 'refreshToken', 'expiresIn', 'expiresAt', 'roles',
+	    'permissions', 'rememberMe', 'roleHierarchy', 'rolePermissions' ];
+
+    /**
+     * @name MappedResponseParser#mapping
+     * @propertyOf angularShiro.services.MappedResponseParser
+     * @description the response layout
+     */
+    this.mapping = angular.extend({
+	required : [ 'principal' ]
+    }, mapping);
+
+    /**
+     * 
+     * @ngdoc method
+     * @function
+     * @name MappedResponseParser#parse
+     * @methodOf angularShiro.services.MappedResponseParser
+     * 
+     * @description Extracts the mapped informations from the response
+     * 
+     * @param {Object}
+     *                data the response
+     * 
+     * @returns {object} the parsed data
+     * 
+     */
+    this.parse = function(data) {
+	var me = this;
+	if (!angular.isObject(data)) {
+	    throw {
+		'name' : 'ParseException',
+		'message' : 'Response does not match expected structure: a json object is expected.'
+	    };
+	}
+	if (this.mapping.challenge && angular.isDefined(getPathValue(data, this.mapping.challenge))) {
+	    return {
+		challenge : parseChallenge(getPathValue(data, this.mapping.challenge))
+	    };
+	}
+	var values = {};
+	angular.forEach(keys, function(key) {
+	    if (me.mapping[key]) {
+		values[key] = getPathValue(data, me.mapping[key]);
+	    }
+	});
+	angular.forEach(this.mapping.required, function(key) {
+	    if (!angular.isDefined(values[key]) || values[key] === null) {
+		var path = angular.isString(me.mapping[key]) ? me.mapping[key] : key;
+		throw {
+		    'name' : 'ParseException',
+		    'message' : 'Response does not match expected structure: missing \'' + path + '\' (' + key + ').'
+		};
+	    }
+	});
+	var expiresAt = values.expiresAt;
+	if (!expiresAt && angular.isNumber(values.expiresIn)) {
+	    expiresAt = new Date().getTime() + values.expiresIn * 1000;
+	}
+	return {
+	    authc : new AuthenticationInfo(values.principal, values.credentials || {}, values.accessToken,
+		    values.refreshToken, expiresAt),
+	    authz : new AuthorizationInfo(values.roles || [], values.permissions || [], values.roleHierarchy,
+		    values.rolePermissions),
+	    rememberMe : parseRememberMe(values.rememberMe)
+	};
+    };
+}
+
+/**
+ * @ngdoc service
+ * @name angularShiro.services.responseParsers
+ * @requires $injector
+ * @requires angularShiro.services.AngularShiroConfig
+ * 
+ * @description Registry of the authentication response parsers. The
+ *              following parsers are built in :
+ * 
+ * | Name | Response |
+ * | ---- | -------- |
+ * | `native` | `{info : {authc : {principal, credentials}, authz : {roles, permissions}}}` (default) |
+ * | `flat` | `{user, roles, permissions, token}` |
+ * | `jwt` | a `JSON Web Token` or `{token}` |
+ * | `hal` | `{_embedded : {user}, roles, permissions, accessToken}` |
+ * | `jsonapi` | `{data : {attributes : {principal, credentials, roles, permissions, accessToken}}}` |
+ * 
+ * Other parsers are registered through
+ * `angularShiroConfigProvider.addResponseParser(name, parser)`.
+ * 
+ * @since 0.2.0
+ */
+var responseParsers = [ '$injector', 'angularShiroConfig', function ResponseParsers($injector, config) {
+    var parsers = {};
+
+    var service = {
+	/**
+	 * @ngdoc method
+	 * @name responseParsers#get
+	 * @methodOf angularShiro.services.responseParsers
+	 * 
+	 * @description Returns the parser corresponding to the given definition
+	 * 
+	 * @param {string|object|function|array=}
+	 *                parser the name of a registered parser or of a parser
+	 *                service, a parser object, a mapping (see
+	 *                {@link angularShiro.services.MappedResponseParser MappedResponseParser})
+	 *                or an injectable function returning the parser. The
+	 *                configured `responseParser` by default. A mapping may
+	 *                extend a built in one through its `format` property :
+	 *                `{format : 'jsonapi', principal : 'data.id'}`
+	 * 
+	 * @return {object} the parser
+	 */
+	get : function(parser) {
+	    parser = parser || config.responseParser;
+	    if (angular.isString(parser)) {
+		if (!parsers[parser]) {
+		    if (angular.isDefined(config.parsers[parser])) {
+			parsers[parser] = service.get(config.parsers[parser]);
+		    } else if ($injector.has(parser)) {
+			parsers[parser] = $injector.get(parser);
+		    } else {
+			throw '[ResponseParsers] Unknown response parser \'' + parser + '\'.';
+		    }
+		}
+		return parsers[parser];
+	    }
+	    if (angular.isFunction(parser) || angular.isArray(parser)) {
+		return $injector.invoke(parser);
+	    }
+	    if (angular.isFunction(parser.parse)) {
+		return parser;
+	    }
+	    var mapping = parser;
+	    if (mapping.format) {
+		if (!angular.isObject(config.parsers[mapping.format])) {
+		    throw '[ResponseParsers] Unknown response format \'' + mapping.format + '\'.';
+		}
+		mapping = angular.extend({}, config.parsers[mapping.format], mapping);
+	    }
+	    return new MappedResponseParser(mapping);
+	}
+    };
+
+    return service;
+} ];
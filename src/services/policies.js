@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.PolicyEngine
+ *
+ * @description `PolicyEngine` evaluates the named attribute based access
+ *              control policies, next to the `Authorizer` checking the roles
+ *              and permissions. A policy is a function receiving :
+ *
+ * - the `attributes` of the Subject : its `principal`, `credentials` and
+ * `roles` ;
+ * - the `resource` the access is requested to, for example an expense ;
+ * - the `environment` of the request : the current date `now`, the `$location`
+ * `path` and `search`.
+ *
+ * It grants the access by returning `true`, any other value denies it :
+ *
+ * <pre>
+ * function(attributes, expense, environment) {
+ *     return attributes.principal.manager && expense.costCenter === attributes.principal.costCenter
+ * 	    && expense.amount < 5000;
+ * }
+ * </pre>
+ *
+ * The policies are registered with
+ * `angularShiroConfigProvider.addPolicy(name, policy)` and evaluated by
+ * `Subject.isPermittedBy(name, resource)` and the `permitted-by` directive.
+ *
+ * @param {object=}
+ *                policies the policies by name
+ * @param {function=}
+ *                environment a function returning the environment of the
+ *                evaluations (default the current date)
+ *
+ * @since 0.2.0
+ */
+function PolicyEngine(policies, environment) {
+
+    /**
+     * @name PolicyEngine#policies
+     * @propertyOf angularShiro.services.PolicyEngine
+     * @description the policies by name
+     */
+    this.policies = angular.extend({}, policies);
+
+    /**
+     * @name PolicyEngine#environment
+     * @propertyOf angularShiro.services.PolicyEngine
+     * @description the function returning the environment of the evaluations
+     */
+    this.environment = environment || function() {
+	return {
+	    now : new Date()
+	};
+    };
+
+    /**
+     * @ngdoc method
+     * @name PolicyEngine#register
+     * @methodOf angularShiro.services.PolicyEngine
+     *
+     * @description Registers a policy, replacing the one of the same name
+     *
+     * @param {string}
+     *                name the policy name
+     * @param {function}
+     *                policy the policy
+     */
+    this.register = function(name, policy) {
+	if (!angular.isFunction(policy)) {
+	    throw '[PolicyEngine] The policy \'' + name + '\' is not a function.';
+	}
+	this.policies[name] = policy;
+    };
+
+    /**
+     * @ngdoc method
+     * @name PolicyEngine#hasPolicy
+     * @methodOf angularShiro.services.PolicyEngine
+     *
+     * @description Returns `true` if a policy of the given name is registered
+     *
+     * @param {string}
+     *                name the policy name
+     * @return {boolean} `true` if the policy is registered
+     */
+    this.hasPolicy = function(name) {
+	return this.policies.hasOwnProperty(name);
+    };
+
+    /**
+     * @ngdoc method
+     * @name PolicyEngine#evaluate
+     * @methodOf angularShiro.services.PolicyEngine
+     *
+     * @description Evaluates the named policy
+     *
+     * @param {string}
+     *                name the policy name
+     * @param {object}
+     *                attributes the attributes of the Subject
+     * @param {*=}
+     *                resource the resource the access is requested to
+     * @return {boolean} `true` if the policy grants the access
+     */
+    this.evaluate = function(name, attributes, resource) {
+	if (!this.hasPolicy(name)) {
+	    throw '[PolicyEngine] Unknown policy \'' + name + '\'.';
+	}
+	return this.policies[name](attributes, resource, this.environment()) === true;
+    };
+}
+
+/**
+ * @ngdoc service
+ * @name angularShiro.services.policyEngine
+ * @requires $injector
+ * @requires $location
+ * @requires angularShiro.services.AngularShiroConfig
+ *
+ * @description The `PolicyEngine` of the Subject, holding the configured
+ *              policies. Its environment holds the current date `now` and the
+ *              `$location` `path` and `search`.
+ *
+ * @since 0.2.0
+ */
+var policyEngine = [ '$injector', '$location', 'angularShiroConfig', function($injector, $location, config) {
+    var engine = new PolicyEngine({}, function() {
+	return {
+	    now : new Date(),
+	    path : $location.path(),
+	    search : $location.search()
+	};
+    });
+    angular.forEach(config.policies, function(policy, name) {
+	if (angular.isString(policy)) {
+	    policy = $injector.get(policy);
+	} else if (angular.isArray(policy)) {
+	    policy = $injector.invoke(policy);
+	}
+	engine.register(name, policy);
+    });
+    return engine;
+} ];
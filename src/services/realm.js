@@ -0,0 +1,386 @@
+'use strict';
+
+/* globals AuthenticationInfo, AuthorizationInfo, RememberMeToken, ChallengeToken */
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.Realm
+ *
+ * @description A `Realm` is a security component that can access
+ *              application-specific security entities such as users, roles,
+ *              and permissions to determine authentication and authorization
+ *              operations.
+ *
+ * `angular-shiro` does not provide a `Realm` base class : any object exposing
+ * the following methods can be registered through
+ * `angularShiroConfigProvider.addRealm(realm)`
+ *
+ * <pre>
+ * {
+ *     // the realm name, used in log and error messages
+ *     getName : function() {
+ * 	return 'partners';
+ *     },
+ *     // true if the realm is able to authenticate the given token
+ *     supports : function(token) {
+ * 	return token instanceof PartnerToken;
+ *     },
+ *     // returns a promise resolved with {authc : AuthenticationInfo, authz : AuthorizationInfo}
+ *     getAuthenticationInfo : function(token) {
+ * 	...
+ *     }
+ * }
+ * </pre>
+ *
+ * @since 0.2.0
+ */
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.HttpRealm
+ *
+ * @description `HttpRealm` is the built-in `Realm` implementation. It sends a
+ *              `POST` request to the configured `api` uri with the following
+ *              post data :
+ *
+ * <pre>
+ * {&quot;token&quot;:{&quot;principal&quot;:&quot;username&quot;,&quot;credentials&quot;:&quot;password&quot;}}
+ * </pre>
+ *
+ * then hands the response over to the configured response parser.
+ *
+ * A `HttpRealm` is created for each object registered through
+ * `angularShiroConfigProvider.addRealm(options)` which does not implement the
+ * `Realm` methods. The `parser` option specifies the parser of the response
+ * (see {@link angularShiro.services.responseParsers responseParsers}), it
+ * defaults to the configured `responseParser`. When no realm is
+ * registered a default `HttpRealm` is created on the `login.api` uri.
+ *
+ * @param {object}
+ *                options the realm options : `name`, `api` (the uri to call),
+ *                an optional `parser` and an optional `supports(token)`
+ *                function
+ * @param {object}
+ *                $http the angular `$http` service
+ * @param {object}
+ *                $q the angular `$q` service
+ * @param {AuthenticationResponseParser}
+ *                responseParser the parser in charge of the response
+ *
+ * @since 0.2.0
+ */
+function HttpRealm(options, $http, $q, responseParser) {
+
+    /**
+     * @name HttpRealm#name
+     * @propertyOf angularShiro.services.HttpRealm
+     * @description the realm name
+     */
+    this.name = options.name || options.api;
+
+    /**
+     * @name HttpRealm#api
+     * @propertyOf angularShiro.services.HttpRealm
+     * @description the uri called with a `POST` method on authentication
+     */
+    this.api = options.api;
+
+    /**
+     * @ngdoc method
+     * @name HttpRealm#getName
+     * @methodOf angularShiro.services.HttpRealm
+     *
+     * @description Returns the realm name
+     *
+     * @return {string} the realm name
+     */
+    this.getName = function() {
+	return this.name;
+    };
+
+    /**
+     * @ngdoc method
+     * @name HttpRealm#supports
+     * @methodOf angularShiro.services.HttpRealm
+     *
+     * @description Returns `true` if this realm is able to authenticate the
+     *              given token, `false` otherwise. Delegates to the
+     *              `supports` option when provided; otherwise any token
+     *              exposing a principal and credentials is supported, except
+     *              the remember me and challenge tokens which are only sent to
+     *              the `rememberMe.api` and `mfa.api` uris
+     *
+     * @param {object}
+     *                token the authentication token
+     * @return {boolean} `true` if the token is supported
+     */
+    this.supports = function(token) {
+	if (angular.isFunction(options.supports)) {
+	    return options.supports(token) === true;
+	}
+	return angular.isObject(token) && angular.isFunction(token.getPrincipal)
+		&& angular.isFunction(token.getCredentials) && !(token instanceof RememberMeToken)
+		&& !(token instanceof ChallengeToken);
+    };
+
+    /**
+     * @ngdoc method
+     * @name HttpRealm#getAuthenticationInfo
+     * @methodOf angularShiro.services.HttpRealm
+     *
+     * @description Post the token to the realm `api` then parse the response
+     *
+     * @param {object}
+     *                token the authentication token
+     * @return {Promise} a promise resolved with the parsed `authc` and `authz`
+     *         informations, or rejected with the `[data, status, headers,
+     *         config]` http response
+     */
+    this.getAuthenticationInfo = function(token) {
+	var deferred = $q.defer();
+	$http.post(this.api, {
+	    token : {
+		principal : token.getPrincipal(),
+		credentials : token.getCredentials()
+	    }
+	}, {
+	    ignoreAuthErrors : true
+	}).success(function(data) {
+	    try {
+		deferred.resolve(responseParser.parse(data));
+	    } catch (e) {
+		deferred.reject(e);
+	    }
+	}).error(function(data, status, headers, config) {
+	    deferred.reject([ data, status, headers, config ]);
+	});
+	return deferred.promise;
+    };
+}
+
+/**
+ * Merge the informations returned by a realm into the aggregated
+ * informations. The principal and credentials of the first successful realm
+ * are kept, as well as the first remember me token issued, roles and
+ * permissions are the union of all the realms ones, as well as their role
+ * hierarchies and role permissions.
+ *
+ * @param {object}
+ *                aggregate the informations aggregated so far or `null`
+ * @param {object}
+ *                infos the `authc` and `authz` informations returned by a
+ *                realm
+ * @returns {object} the aggregated informations
+ * @private
+ */
+function mergeAuthenticationInfos(aggregate, infos) {
+    var authz = infos.authz || new AuthorizationInfo();
+    if (aggregate === null) {
+	return {
+	    authc : infos.authc,
+	    authz : authz,
+	    rememberMe : infos.rememberMe || null
+	};
+    }
+    var union = function(target, values) {
+	angular.forEach(values, function(value) {
+	    if (target.indexOf(value) === -1) {
+		target.push(value);
+	    }
+	});
+	return target;
+    };
+    var extend = function(target, values) {
+	return (target || values) ? angular.extend({}, target, values) : null;
+    };
+    return {
+	authc : aggregate.authc,
+	authz : new AuthorizationInfo(union(aggregate.authz.getRoles().slice(0), authz.getRoles()), union(
+		aggregate.authz.getPermissions().slice(0), authz.getPermissions()), extend(aggregate.authz
+		.getRoleHierarchy(), authz.getRoleHierarchy()), extend(aggregate.authz.getRolePermissions(), authz
+		.getRolePermissions())),
+	rememberMe : aggregate.rememberMe || infos.rememberMe || null
+    };
+}
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.AtLeastOneSuccessfulStrategy
+ *
+ * @description Authentication strategy requiring at least one of the
+ *              supporting realms to authenticate the token. All the supporting
+ *              realms are consulted and the informations of the successful
+ *              ones are merged. This is the default strategy.
+ *
+ * @since 0.2.0
+ */
+function AtLeastOneSuccessfulStrategy() {
+
+    this.name = 'atLeastOneSuccessful';
+
+    this.afterAttempt = function(realm, token, infos, aggregate, error) {
+	return (infos) ? mergeAuthenticationInfos(aggregate, infos) : aggregate;
+    };
+
+    this.isComplete = function(aggregate) {
+	return false;
+    };
+
+    this.afterAllAttempts = function(token, aggregate, errors) {
+	if (aggregate === null) {
+	    throw errors[errors.length - 1];
+	}
+	return aggregate;
+    };
+}
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.FirstSuccessfulStrategy
+ *
+ * @description Authentication strategy that only uses the informations
+ *              returned by the first realm that successfully authenticates the
+ *              token; the remaining realms are not consulted.
+ *
+ * @since 0.2.0
+ */
+function FirstSuccessfulStrategy() {
+
+    this.name = 'firstSuccessful';
+
+    this.afterAttempt = function(realm, token, infos, aggregate, error) {
+	return (aggregate === null && infos) ? mergeAuthenticationInfos(null, infos) : aggregate;
+    };
+
+    this.isComplete = function(aggregate) {
+	return aggregate !== null;
+    };
+
+    this.afterAllAttempts = function(token, aggregate, errors) {
+	if (aggregate === null) {
+	    throw errors[errors.length - 1];
+	}
+	return aggregate;
+    };
+}
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.AllSuccessfulStrategy
+ *
+ * @description Authentication strategy requiring all the supporting realms to
+ *              authenticate the token; the first failure aborts the
+ *              authentication.
+ *
+ * @since 0.2.0
+ */
+function AllSuccessfulStrategy() {
+
+    this.name = 'allSuccessful';
+
+    this.afterAttempt = function(realm, token, infos, aggregate, error) {
+	if (!infos) {
+	    throw error;
+	}
+	return mergeAuthenticationInfos(aggregate, infos);
+    };
+
+    this.isComplete = function(aggregate) {
+	return false;
+    };
+
+    this.afterAllAttempts = function(token, aggregate, errors) {
+	return aggregate;
+    };
+}
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.ModularRealmAuthenticator
+ *
+ * @description `ModularRealmAuthenticator` delegates the authentication of a
+ *              token to the configured realms supporting it, and uses the
+ *              configured strategy to decide whether the attempt is successful
+ *
+ * @param {function}
+ *                realmsProvider function returning the configured realms
+ * @param {object}
+ *                strategy the authentication strategy
+ * @param {object}
+ *                $q the angular `$q` service
+ *
+ * @since 0.2.0
+ */
+function ModularRealmAuthenticator(realmsProvider, strategy, $q) {
+
+    /**
+     * @ngdoc method
+     * @name ModularRealmAuthenticator#getRealms
+     * @methodOf angularShiro.services.ModularRealmAuthenticator
+     *
+     * @description Returns the realms supporting the given token
+     *
+     * @param {object}
+     *                token the authentication token
+     * @return {array} the realms supporting the token
+     */
+    this.getRealms = function(token) {
+	var realms = [];
+	angular.forEach(realmsProvider(), function(realm) {
+	    if (realm.supports(token)) {
+		realms.push(realm);
+	    }
+	});
+	return realms;
+    };
+
+    /**
+     * @ngdoc method
+     * @name ModularRealmAuthenticator#authenticate
+     * @methodOf angularShiro.services.ModularRealmAuthenticator
+     *
+     * @description Consult the realms supporting the token one after the
+     *              other, according to the strategy
+     *
+     * @param {object}
+     *                token the authentication token
+     * @return {Promise} a promise resolved with the aggregated `authc` and
+     *         `authz` informations, or with the `challenge` issued by a realm
+     *         requiring a second factor
+     */
+    this.authenticate = function(token) {
+	var realms = this.getRealms(token);
+	if (realms.length === 0) {
+	    return $q.reject('[Autheticate] No realm configured supports the provided token.');
+	}
+	var errors = [];
+	var attempt = function(idx, aggregate) {
+	    if (idx >= realms.length || strategy.isComplete(aggregate)) {
+		try {
+		    return $q.when(strategy.afterAllAttempts(token, aggregate, errors));
+		} catch (e) {
+		    return $q.reject(e);
+		}
+	    }
+	    var realm = realms[idx];
+	    var next = function(infos, error) {
+		try {
+		    return attempt(idx + 1, strategy.afterAttempt(realm, token, infos, aggregate, error));
+		} catch (e) {
+		    return $q.reject(e);
+		}
+	    };
+	    return realm.getAuthenticationInfo(token).then(function(infos) {
+		if (infos && infos.challenge) {
+		    // a second factor is required, the challenge is handed over as is
+		    return infos;
+		}
+		return next(infos, null);
+	    }, function(error) {
+		errors.push(error);
+		return next(null, error);
+	    });
+	};
+	return attempt(0, null);
+    };
+}
@@ -0,0 +1,162 @@
+'use strict';
+
+/* globals redirectToLogin */
+
+/**
+ * @ngdoc service
+ * @name angularShiro.services.tokenRefresher
+ * @requires $http
+ * @requires $q
+ * @requires $timeout
+ * @requires $location
+ * @requires $log
+ * @requires angularShiro.services.responseParsers
+ * @requires angularShiro.services.Subject
+ * @requires angularShiro.services.AngularShiroConfig
+ *
+ * @description `tokenRefresher` renews the Subject's access token before it
+ *              expires, by sending its refresh token to the configured
+ *              `refresh.api` uri (see
+ *              `angularShiroConfigProvider.setRefreshOptions(options)`) :
+ *
+ * <pre>
+ * {&quot;refreshToken&quot;:&quot;8xLOxBtZp8&quot;}
+ * </pre>
+ *
+ * The response is parsed as an authentication response. When it does not carry
+ * a new refresh token the current one is kept.
+ *
+ * The renewal is scheduled `leeway` seconds before the access token expiration
+ * each time the Subject logs in or its informations are restored. A delay
+ * longer than the timers allow (about 24.8 days) is waited for in several
+ * steps. Concurrent
+ * renewals share the same request. When the renewal fails the Subject is logged
+ * out and redirected to the login path.
+ *
+ * @since 0.2.0
+ */
+var tokenRefresher = [ '$http', '$q', '$timeout', '$location', '$log', 'responseParsers', 'subject',
+	'angularShiroConfig',
+	function TokenRefresher($http, $q, $timeout, $location, $log, responseParsers, subject, config) {
+	    // the longest delay of setTimeout, longer ones fire at once
+	    var MAX_DELAY = 2147483647;
+	    var pending = null;
+	    var timer = null;
+
+	    var service = {
+		/**
+		 * @ngdoc method
+		 * @name tokenRefresher#canRefresh
+		 * @methodOf angularShiro.services.tokenRefresher
+		 *
+		 * @description Returns `true` if a `refresh.api` is configured and
+		 *              the Subject holds a refresh token
+		 *
+		 * @return {boolean} `true` if the access token can be renewed
+		 */
+		canRefresh : function() {
+		    return config.refresh.api !== null && subject.isAuthenticated()
+			    && angular.isObject(subject.authenticationInfo)
+			    && !!subject.authenticationInfo.getRefreshToken();
+		},
+
+		/**
+		 * @ngdoc method
+		 * @name tokenRefresher#refresh
+		 * @methodOf angularShiro.services.tokenRefresher
+		 *
+		 * @description Renews the access token. While a renewal is in
+		 *              progress the same promise is returned
+		 *
+		 * @return {Promise} a promise resolved with the renewed `authc`
+		 *         and `authz` informations
+		 */
+		refresh : function() {
+		    if (pending !== null) {
+			return pending;
+		    }
+		    if (!service.canRefresh()) {
+			return $q.reject('[TokenRefresher] No refresh token available.');
+		    }
+		    var refreshToken = subject.authenticationInfo.getRefreshToken();
+		    var parser = responseParsers.get(config.refresh.parser);
+		    pending = $http.post(config.refresh.api, {
+			refreshToken : refreshToken
+		    }, {
+			ignoreAuthErrors : true
+		    }).then(function(response) {
+			var infos = parser.parse(response.data);
+			if (!infos.authc.getRefreshToken()) {
+			    infos.authc.refreshToken = refreshToken;
+			}
+			pending = null;
+			subject.updateAuthenticationInfo(infos);
+			service.schedule();
+			return infos;
+		    }).then(null, function(error) {
+			pending = null;
+			subject.logout().then(null, function() {
+			    $log.warn('tokenRefresher::the backend could not be notified of the logout');
+			});
+			redirectToLogin($location, config);
+			return $q.reject(error);
+		    });
+		    return pending;
+		},
+
+		/**
+		 * @ngdoc method
+		 * @name tokenRefresher#schedule
+		 * @methodOf angularShiro.services.tokenRefresher
+		 *
+		 * @description Schedules the renewal of the access token `leeway`
+		 *              seconds before its expiration. Nothing is scheduled
+		 *              when the token can not be renewed or its expiration
+		 *              is unknown
+		 */
+		schedule : function() {
+		    service.cancel();
+		    var expiration = subject.getExpiration();
+		    if (!service.canRefresh() || expiration === null) {
+			return;
+		    }
+		    var delay = expiration.getTime() - new Date().getTime() - config.refresh.leeway * 1000;
+		    if (delay > MAX_DELAY) {
+			timer = $timeout(service.schedule, MAX_DELAY);
+		    } else {
+			timer = $timeout(service.refresh, Math.max(delay, 0));
+		    }
+		},
+
+		/**
+		 * @ngdoc method
+		 * @name tokenRefresher#cancel
+		 * @methodOf angularShiro.services.tokenRefresher
+		 *
+		 * @description Cancels the scheduled renewal
+		 */
+		cancel : function() {
+		    if (timer !== null) {
+			$timeout.cancel(timer);
+			timer = null;
+		    }
+		}
+	    };
+
+	    subject.addAuthenticationListener({
+		onSuccess : function() {
+		    service.schedule();
+		},
+		onRestored : function() {
+		    service.schedule();
+		},
+		onLogout : function() {
+		    service.cancel();
+		},
+		onExpired : function() {
+		    service.cancel();
+		}
+	    });
+
+	    return service;
+	} ];
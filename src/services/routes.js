@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * @ngdoc service
+ * @name angularShiro.services.routeGuard
+ * @requires $injector
+ * @requires $rootScope
+ * @requires angularShiro.services.Subject
+ * @requires angularShiro.services.AngularShiroConfig
+ * @requires angularShiro.services.angularShiroTracer
+ *
+ * @description Protects the `ngRoute` routes declaring their requirements
+ *              under a `shiro` key, as an alternative to the `urls` filter
+ *              chains :
+ *
+ * <pre>
+ * $routeProvider.when('/admin', {
+ *     templateUrl : 'admin.html',
+ *     shiro : {
+ * 	roles : [ 'ADMIN' ],
+ * 	perms : [ 'user:manage' ]
+ *     }
+ * });
+ * </pre>
+ *
+ * The `authc`, `roles` and `perms` filters are executed in that order on
+ * `$routeChangeStart`, before the resolves and the controller of the route.
+ * Declaring `roles` or `perms` implies `authc`. The route change is cancelled
+ * as soon as a filter denies the access, the filter redirecting to the login
+ * path as it does for the `urls` filter chains. Both apply : the filter chain
+ * of the path is executed first, on `$locationChangeStart`.
+ *
+ * Nothing is installed when `ngRoute` is not loaded.
+ *
+ * @since 0.2.0
+ */
+var routeGuard = [ '$injector', '$rootScope', 'subject', 'angularShiroConfig', 'angularShiroTracer',
+	function RouteGuard($injector, $rootScope, subject, config, tracer) {
+
+	    var toArray = function(value) {
+		if (!angular.isDefined(value) || value === null) {
+		    return [];
+		}
+		return angular.isArray(value) ? value : [ value ];
+	    };
+
+	    var service = {
+
+		/**
+		 * @ngdoc method
+		 * @name routeGuard#getRequirements
+		 * @methodOf angularShiro.services.routeGuard
+		 *
+		 * @description Returns the requirements declared by the route
+		 *
+		 * @param {object}
+		 *                route the route
+		 * @return {object} the `authc` flag and the required `roles` and
+		 *         `perms`
+		 */
+		getRequirements : function(route) {
+		    var declared = (route && route.shiro) || {};
+		    var requirements = {
+			authc : declared.authc === true,
+			roles : toArray(declared.roles),
+			perms : toArray(declared.perms)
+		    };
+		    requirements.authc = requirements.authc || requirements.roles.length > 0
+			    || requirements.perms.length > 0;
+		    return requirements;
+		},
+
+		/**
+		 * @ngdoc method
+		 * @name routeGuard#check
+		 * @methodOf angularShiro.services.routeGuard
+		 *
+		 * @description Executes the filters matching the requirements of
+		 *              the route, restoring the authentication of the
+		 *              Subject from the session first
+		 *
+		 * @param {object=}
+		 *                route the route, undefined when the path matches no
+		 *                route
+		 * @return {boolean} `true` if the route may be entered
+		 */
+		check : function(route) {
+		    var requirements = this.getRequirements(route);
+		    if (!requirements.authc) {
+			return true;
+		    }
+		    if (!subject.isAuthenticated()) {
+			subject.restoreAuth(config);
+		    }
+		    var allowed = $injector.get('authc').execute()
+			    && (requirements.roles.length === 0 || $injector.get('roles').execute(requirements.roles))
+			    && (requirements.perms.length === 0 || $injector.get('perms').execute(requirements.perms));
+		    tracer.trace('route ' + (route && route.originalPath), requirements, allowed);
+		    return allowed;
+		},
+
+		/**
+		 * @ngdoc method
+		 * @name routeGuard#install
+		 * @methodOf angularShiro.services.routeGuard
+		 *
+		 * @description Checks the routes entered from now on, if `ngRoute`
+		 *              is loaded
+		 *
+		 * @return {boolean} `true` if the guard is installed
+		 */
+		install : function() {
+		    if (!$injector.has('$route')) {
+			return false;
+		    }
+		    $rootScope.$on('$routeChangeStart', function(event, next) {
+			if (!service.check(next)) {
+			    event.preventDefault();
+			}
+		    });
+		    return true;
+		}
+	    };
+
+	    return service;
+	} ];
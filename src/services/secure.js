@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * @ngdoc function
+ * @name angularShiro.services.secureServiceDecorator
+ *
+ * @description Builds the `$provide.decorator` guarding the methods of a
+ *              service, the client side counterpart of the Shiro
+ *              `@RequiresPermissions` and `@RequiresRoles` annotations (see
+ *              `angularShiroConfigProvider.secureService(name, requirements)`).
+ *
+ * A requirement is written like the filters of the `$location` paths :
+ * `authc`, `perms[invoice:delete]` or `roles[MANAGER,ACCOUNTANT]`, or an array
+ * of them which must all be met. A guarded method checks the Subject before
+ * calling the original method and throws the `UnauthenticatedException` or
+ * `UnauthorizedException` raised by the `check*` methods of the Subject. The
+ * asynchronous methods return a rejected promise instead.
+ *
+ * @param {string}
+ *                name the name of the service
+ * @param {object}
+ *                requirements the requirements by method name
+ * @param {boolean|array=}
+ *                async `true` when all the methods return a promise, or the
+ *                names of the methods returning a promise
+ * @return {array} the injectable decorator
+ *
+ * @since 0.2.0
+ */
+function secureServiceDecorator(name, requirements, async) {
+
+    var checks = {
+	'authc' : function(subject) {
+	    subject.checkAuthenticated();
+	},
+	'perms' : function(subject, permissions) {
+	    subject.checkPermissions(permissions);
+	},
+	'roles' : function(subject, roles) {
+	    subject.checkRoles(roles);
+	}
+    };
+
+    var isAsync = function(method) {
+	return async === true || (angular.isArray(async) && async.indexOf(method) > -1);
+    };
+
+    return [ '$delegate', '$q', 'subject', 'filtersResolver', 'angularShiroTracer',
+	    function($delegate, $q, subject, filtersResolver, tracer) {
+
+		/**
+		 * Parse the requirement of a method into the checks to run
+		 *
+		 * @private
+		 */
+		var resolve = function(requirement, method) {
+		    var resolved = [];
+		    angular.forEach(angular.isArray(requirement) ? requirement : [ requirement ], function(filter) {
+			var filterName = filtersResolver.resolveFilterName(filter);
+			if (!checks.hasOwnProperty(filterName)) {
+			    throw '[SecureService] Unsupported requirement \'' + filter + '\' on ' + name + '.' + method
+				    + ', expected authc, perms[...] or roles[...].';
+			}
+			resolved.push({
+			    check : checks[filterName],
+			    args : filtersResolver.resolveFilterArgs(filter)
+			});
+		    });
+		    return resolved;
+		};
+
+		/**
+		 * Wrap the original method with the checks
+		 *
+		 * @private
+		 */
+		var guard = function(original, method, requirement) {
+		    var resolved = resolve(requirement, method);
+		    return function() {
+			try {
+			    angular.forEach(resolved, function(r) {
+				r.check(subject, r.args);
+			    });
+			} catch (e) {
+			    tracer.trace(name + '.' + method, requirement, false);
+			    if (isAsync(method)) {
+				return $q.reject(e);
+			    }
+			    throw e;
+			}
+			tracer.trace(name + '.' + method, requirement, true);
+			return original.apply(this, arguments);
+		    };
+		};
+
+		angular.forEach(requirements, function(requirement, method) {
+		    if (!angular.isFunction($delegate[method])) {
+			throw '[SecureService] ' + name + '.' + method + ' is not a function.';
+		    }
+		    $delegate[method] = guard($delegate[method], method, requirement);
+		});
+		return $delegate;
+	    } ];
+}
@@ -443,9 +443,11 @@ function SessionManager(sessionDAO) {
      * 
      * @param {angularShiro.services.Session}
      *                session the session to update
+     * @param {Date=}
+     *                expires the session expiration date
      */
-    this.update = function(session) {
-        this.sessionDAO.update(session);
+    this.update = function(session, expires) {
+        this.sessionDAO.update(session, expires);
     };
     this.updateSid = function(session) {
 	    this.sessionDAO.updateSid(session);
@@ -584,10 +586,13 @@ function SessionDAO() {
      * 
      * @param {angularShiro.services.Session}
      *                `session` the Session to update
+     * @param {Date=}
+     *                `expires` the cookie expiration date, 30 days from now by
+     *                default
      */
-    this.update = function (session) {
+    this.update = function (session, expires) {
         var now = new Date();
-        var exp = new Date(now.getFullYear(), now.getMonth(), now.getDate()+30);
+        var exp = expires || new Date(now.getFullYear(), now.getMonth(), now.getDate()+30);
         this.CookieUtil.set(session.getId(),angular.toJson(session),exp);
     }
     this.updateSid = function (session) {
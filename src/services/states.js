@@ -0,0 +1,264 @@
+'use strict';
+
+/**
+ * @ngdoc service
+ * @name angularShiro.services.stateGuard
+ * @requires $injector
+ * @requires $rootScope
+ * @requires $location
+ * @requires angularShiro.services.Subject
+ * @requires angularShiro.services.AngularShiroConfig
+ * @requires angularShiro.services.angularShiroTracer
+ *
+ * @description Protects the `ui-router` states. The requirements are declared
+ *              in the `data` of the states, either directly or under a `shiro`
+ *              key (a `shiro` key of the state definition is read as well) :
+ *
+ * <pre>
+ * $stateProvider.state('admin', {
+ *     url : '/admin',
+ *     data : {
+ * 	authc : true,
+ * 	roles : [ 'ADMIN' ]
+ *     }
+ * }).state('admin.users', {
+ *     url : '/users',
+ *     data : {
+ * 	perms : [ 'user:manage' ]
+ *     }
+ * });
+ * </pre>
+ *
+ * A state inherits the requirements of its parent states : entering
+ * `admin.users` requires the `ADMIN` role and the `user:manage` permission.
+ * Declaring `roles` or `perms` implies `authc`.
+ *
+ * The requirements are checked on the `$stateChangeStart` event of
+ * `ui-router` 0.2, or in a `$transitions.onBefore` hook of `ui-router` 1.x. An
+ * unauthenticated user is redirected to the login state (see
+ * `angularShiroConfigProvider.setLoginState(state)`), or else to the login
+ * path. The target state and its params are kept and entered again once the
+ * Subject logs in. An authenticated user lacking a role or a permission is
+ * redirected to the unauthorized state (see
+ * `angularShiroConfigProvider.setUnauthorizedState(state)`), or else to the
+ * unauthorized path, or else stays on the current state.
+ *
+ * Nothing is installed when `ui-router` is not loaded.
+ *
+ * @since 0.2.0
+ */
+var stateGuard = [ '$injector', '$rootScope', '$location', 'subject', 'angularShiroConfig', 'angularShiroTracer',
+	function StateGuard($injector, $rootScope, $location, subject, config, tracer) {
+
+	    var toArray = function(value) {
+		if (!angular.isDefined(value) || value === null) {
+		    return [];
+		}
+		return angular.isArray(value) ? value : [ value ];
+	    };
+
+	    var service = {
+
+		/**
+		 * @ngdoc property
+		 * @name stateGuard#target
+		 * @propertyOf angularShiro.services.stateGuard
+		 * @description the state, and its `params`, denied to the
+		 *              unauthenticated user, entered again once the Subject
+		 *              logs in
+		 */
+		target : null,
+
+		/**
+		 * @ngdoc method
+		 * @name stateGuard#getStates
+		 * @methodOf angularShiro.services.stateGuard
+		 *
+		 * @description Returns the state preceded by its parent states,
+		 *              declared by their `parent` or by the dotted name of
+		 *              the state
+		 *
+		 * @param {object}
+		 *                state the state definition
+		 * @return {array} the state definitions, from the root
+		 */
+		getStates : function(state) {
+		    var $state = $injector.get('$state');
+		    var states = [];
+		    while (state) {
+			states.unshift(state);
+			var parent = state.parent;
+			if (!parent && angular.isString(state.name) && state.name.lastIndexOf('.') > -1) {
+			    parent = state.name.substring(0, state.name.lastIndexOf('.'));
+			}
+			state = angular.isString(parent) ? $state.get(parent) : parent;
+		    }
+		    return states;
+		},
+
+		/**
+		 * @ngdoc method
+		 * @name stateGuard#getRequirements
+		 * @methodOf angularShiro.services.stateGuard
+		 *
+		 * @description Returns the requirements of the state, merged with
+		 *              those of its parent states
+		 *
+		 * @param {object}
+		 *                state the state definition
+		 * @return {object} the `authc` flag and the required `roles` and
+		 *         `perms`
+		 */
+		getRequirements : function(state) {
+		    var requirements = {
+			authc : false,
+			roles : [],
+			perms : []
+		    };
+		    angular.forEach(this.getStates(state), function(s) {
+			var declared = s.shiro || (s.data && (s.data.shiro || s.data)) || {};
+			requirements.authc = requirements.authc || declared.authc === true;
+			requirements.roles = requirements.roles.concat(toArray(declared.roles));
+			requirements.perms = requirements.perms.concat(toArray(declared.perms));
+		    });
+		    requirements.authc = requirements.authc || requirements.roles.length > 0
+			    || requirements.perms.length > 0;
+		    return requirements;
+		},
+
+		/**
+		 * @ngdoc method
+		 * @name stateGuard#check
+		 * @methodOf angularShiro.services.stateGuard
+		 *
+		 * @description Checks the requirements of the state against the
+		 *              Subject, restoring its authentication from the
+		 *              session first
+		 *
+		 * @param {object}
+		 *                state the state definition
+		 * @return {string} `null` when the state may be entered,
+		 *         `unauthenticated` or `unauthorized` otherwise
+		 */
+		check : function(state) {
+		    var requirements = this.getRequirements(state);
+		    var denial = null;
+		    if (requirements.authc) {
+			if (!subject.isAuthenticated() && !subject.restoreAuth(config)) {
+			    denial = 'unauthenticated';
+			} else if (!subject.hasAllRoles(requirements.roles)
+				|| !subject.isPermittedAll(requirements.perms)) {
+			    denial = 'unauthorized';
+			}
+		    }
+		    tracer.trace('state ' + state.name, requirements, denial === null);
+		    return denial;
+		},
+
+		/**
+		 * @ngdoc method
+		 * @name stateGuard#redirect
+		 * @methodOf angularShiro.services.stateGuard
+		 *
+		 * @description Keeps the denied state and returns the state to
+		 *              enter instead, or applies the login or unauthorized
+		 *              path to `$location` when no such state is configured
+		 *
+		 * @param {string}
+		 *                denial `unauthenticated` or `unauthorized`
+		 * @param {object}
+		 *                state the denied state definition
+		 * @param {object=}
+		 *                params the params of the denied state
+		 * @return {string} the name of the state to enter, or `null`
+		 */
+		redirect : function(denial, state, params) {
+		    if (denial === 'unauthenticated') {
+			this.target = {
+			    state : state.name,
+			    params : params || {}
+			};
+			if (config.login.state) {
+			    return config.login.state;
+			}
+			$location.path(config.login.path);
+		    } else if (config.unauthorized.state) {
+			return config.unauthorized.state;
+		    } else if (config.unauthorized.path) {
+			$location.path(config.unauthorized.path);
+		    }
+		    return null;
+		},
+
+		/**
+		 * @ngdoc method
+		 * @name stateGuard#resume
+		 * @methodOf angularShiro.services.stateGuard
+		 *
+		 * @description Enters the state denied before the login, if any
+		 *
+		 * @return {boolean} `true` if a state is entered
+		 */
+		resume : function() {
+		    if (this.target === null) {
+			return false;
+		    }
+		    var target = this.target;
+		    this.target = null;
+		    $injector.get('$state').go(target.state, target.params);
+		    return true;
+		},
+
+		/**
+		 * @ngdoc method
+		 * @name stateGuard#install
+		 * @methodOf angularShiro.services.stateGuard
+		 *
+		 * @description Checks the states entered from now on, if `ui-router`
+		 *              is loaded
+		 *
+		 * @return {boolean} `true` if the guard is installed
+		 */
+		install : function() {
+		    if ($injector.has('$transitions')) {
+			$injector.get('$transitions').onBefore({}, function(transition) {
+			    var state = transition.to();
+			    var denial = service.check(state);
+			    if (denial === null) {
+				return true;
+			    }
+			    var redirection = service.redirect(denial, state, transition.params());
+			    return redirection === null ? false : transition.router.stateService.target(redirection);
+			});
+			return true;
+		    }
+		    if ($injector.has('$state')) {
+			$rootScope.$on('$stateChangeStart', function(event, toState, toParams) {
+			    var denial = service.check(toState);
+			    if (denial !== null) {
+				event.preventDefault();
+				var redirection = service.redirect(denial, toState, toParams);
+				if (redirection !== null) {
+				    $injector.get('$state').go(redirection);
+				}
+			    }
+			});
+			return true;
+		    }
+		    return false;
+		}
+	    };
+
+	    subject.addAuthenticationListener({
+		onSuccess : function() {
+		    if ($injector.has('$state')) {
+			service.resume();
+		    }
+		},
+		onLogout : function() {
+		    service.target = null;
+		}
+	    });
+
+	    return service;
+	} ];
@@ -1,7 +1,9 @@
 'use strict';
 
 /*
- * globals AuthenticationInfo, AuthorizationInfo, SessionManager, SessionDAO, UsernamePasswordToken
+ * globals AuthenticationInfo, AuthorizationInfo, SessionManager, SessionDAO, RememberMeToken, ChallengeToken,
+ * LoginThrottle, ExcessiveAttemptsException, AuthorizationExpressionParser, UnauthenticatedException,
+ * UnauthorizedException, PolicyEngine
  */
 
 
@@ -12,6 +14,7 @@
  * @requires angularShiro.services.Authenticator
  * @requires angularShiro.services.Authorizer
  * @requires angularShiro.services.AuthenticationResponseParser
+ * @requires angularShiro.services.AngularShiroConfig
  * 
  * @description A <code>Subject</code> represents state and security
  *              operations for an application user. Operations goes from
@@ -30,10 +33,18 @@
  *                authenticationResponseParser instance of
  *                <code>AuthenticationResponseParser</code>
  * 
+ * @param {object}
+ *                config the `angular-shiro` configuration
+ * 
+ * @param {object}
+ *                $q the angular `$q` service
+ * 
+ * @param {PolicyEngine=}
+ *                policyEngine instance of <code>PolicyEngine</code>
  * 
  * @since 0.0.1
  */
-function Subject(authenticator, authorizer, authenticationResponseParser) {
+function Subject(authenticator, authorizer, authenticationResponseParser, config, $q, policyEngine) {
 
     /**
      * @name Subject#authenticated
@@ -60,6 +71,14 @@ function Subject(authenticator, authorizer, authenticationResponseParser) {
      */
     this.authorizer = authorizer;
 
+    /**
+     * @name Subject#policyEngine
+     * @propertyOf angularShiro.services.Subject
+     * @description <code>PolicyEngine</code> instance evaluating the access
+     *              control policies
+     */
+    this.policyEngine = policyEngine || new PolicyEngine();
+
     /**
      * @name Subject#authenticationInfo
      * @propertyOf angularShiro.services.Subject
@@ -74,6 +93,40 @@ function Subject(authenticator, authorizer, authenticationResponseParser) {
      */
     this.remembered = false;
 
+    /**
+     * @name Subject#challenge
+     * @propertyOf angularShiro.services.Subject
+     * @description the second factor challenge pending since the last login
+     *              attempt, or `null`
+     */
+    this.challenge = null;
+
+    /**
+     * @name Subject#authenticationListeners
+     * @propertyOf angularShiro.services.Subject
+     * @description the listeners notified of this Subject successful and
+     *              unsuccessful login attempts and of its log out (see
+     *              `addAuthenticationListener`)
+     */
+    this.authenticationListeners = [];
+
+    /**
+     * @name Subject#loginThrottle
+     * @propertyOf angularShiro.services.Subject
+     * @description <code>LoginThrottle</code> instance delaying the login
+     *              attempts after failures
+     */
+    this.loginThrottle = new LoginThrottle(this.sessionManager, config);
+    this.authenticationListeners.push(this.loginThrottle);
+
+    /**
+     * @name Subject#expressionParser
+     * @propertyOf angularShiro.services.Subject
+     * @description <code>AuthorizationExpressionParser</code> instance
+     *              compiling the expressions given to <code>evaluate</code>
+     */
+    this.expressionParser = new AuthorizationExpressionParser();
+
     /**
      * 
      * @ngdoc method
@@ -92,6 +145,18 @@ function Subject(authenticator, authorizer, authenticationResponseParser) {
      * return true and the getPrincipal() method must return a non-null value
      * and .
      * 
+     * The promise is rejected with an `AuthenticationException` (see
+     * {@link angularShiro.services.AuthenticationException AuthenticationException}).
+     * 
+     * When the backend requires a second factor the promise is resolved with
+     * the `challenge` and the Subject is not authenticated until the challenge
+     * is completed (see `completeChallenge(code)`).
+     * 
+     * While the principal of the token has to wait after failed attempts (see
+     * `getLoginWaitTime(principal)`) the promise is rejected at once with an
+     * `ExcessiveAttemptsException` holding the `remaining` seconds and the
+     * `locked` flag, and the backend is not called.
+     * 
      * @param {UsernamePasswordToken}
      *                token the token encapsulating the subject's principals and
      *                credentials to be passed to the Authentication subsystem
@@ -101,46 +166,401 @@ function Subject(authenticator, authorizer, authenticationResponseParser) {
      * 
      */
     this.login = function(token) {
+	if (this.loginThrottle.supports(token)) {
+	    var remaining = this.getLoginWaitTime(token.getPrincipal());
+	    if (remaining > 0) {
+		var error = new ExcessiveAttemptsException('Too many failed login attempts, try again in ' + remaining
+			+ 's.');
+		error.remaining = remaining;
+		error.locked = this.loginThrottle.isLocked(token.getPrincipal());
+		this.notifyListeners('onFailure', [ token, error ]);
+		return $q.reject(error);
+	    }
+	}
 	var promise = authenticator.authenticate(token);
 	var me = this;
-	promise.then(function(data) {
-	    var infos = authenticationResponseParser.parse(data[0]);
-	    me.authenticationInfo = infos.authc;
-	    me.authorizer.setAuthorizationInfo(infos.authz);
-	    me.authenticated = true;
-	    //׼洢Ϣ
-        var sidSession = me.getSessionBySid(true,data[3].tokenSid);
-        sidSession.setAttribute('token',data[0]);
-        me.sessionManager.updateSid(sidSession);
-
+	promise.then(function(infos) {
+	    if (infos.challenge) {
+		me.setChallenge(angular.extend({}, infos.challenge, {
+		    rememberMe : token.isRememberMe()
+		}));
+		me.notifyListeners('onChallenge', [ token, infos.challenge ]);
+		token.clear();
+		return;
+	    }
+	    me.setChallenge(null);
+	    me.setRunAsStack([]);
+	    me.updateAuthenticationInfo(infos);
+	    if (config.authz.api) {
+		me.reloadAuthorization();
+	    }
         //remeber meӦʹCookieǰ
 	    if (token.isRememberMe()) {
-		// put the token in session to auto login if needed
-		var session = me.getSession(true,data[3].remeberSid);
-		session.setAttribute('token', token);
-		me.sessionManager.update(session);
-		me.remembered = true;
+		me.remember(infos.rememberMe);
 	    }
+	    me.notifyListeners('onSuccess', [ token, infos ]);
 	    token.clear();
 	}, function(data, status, headers, config) {
 	    me.clear();
+	    if (token instanceof RememberMeToken) {
+		me.forget();
+	    }
+	    me.notifyListeners('onFailure', [ token, data ]);
 	});
 	return promise;
     };
+
+    /**
+     * @ngdoc method
+     * @name Subject#getLoginWaitTime
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Returns the number of seconds the given principal has to
+     *              wait before its next login attempt, after failed ones
+     * 
+     * @param {string}
+     *                principal the principal about to log in
+     * 
+     * @return {number} the remaining seconds, `0` if the principal may log in
+     */
+    this.getLoginWaitTime = function(principal) {
+	return this.loginThrottle.getRemainingTime(principal);
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#getChallenge
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Returns the pending second factor challenge, restored from
+     *              the session after a page reload, or `null` if there is none
+     * 
+     * @return {object} the challenge, holding its `token`, its `type`
+     *         (`'totp'`, `'sms'` or `'email'`) and the other informations
+     *         sent by the backend
+     */
+    this.getChallenge = function() {
+	if (this.challenge === null) {
+	    var session = this.sessionManager.sessionDAO.readSession(config.challengeSid);
+	    if (session !== null) {
+		this.challenge = session.getAttribute('challenge') || null;
+	    }
+	}
+	return this.challenge;
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#isChallenged
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Returns `true` if a second factor challenge is pending
+     * 
+     * @return {boolean} `true` if a challenge is pending
+     */
+    this.isChallenged = function() {
+	return this.getChallenge() !== null;
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#completeChallenge
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Sends the code answering the pending challenge to the
+     *              `mfa.api` uri. The Subject is authenticated once the
+     *              backend accepts the code; a rejected code leaves the
+     *              challenge pending.
+     * 
+     * @param {string}
+     *                code the TOTP, SMS or email code entered by the user
+     * 
+     * @returns {Promise} the login promise
+     */
+    this.completeChallenge = function(code) {
+	var challenge = this.getChallenge();
+	if (challenge === null) {
+	    throw '[Subject] No pending challenge to complete.';
+	}
+	return this.login(new ChallengeToken(challenge, code));
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#cancelChallenge
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Drops the pending challenge, the user has to log in again
+     */
+    this.cancelChallenge = function() {
+	this.setChallenge(null);
+    };
+
+    /**
+     * Keeps the pending challenge in session so that it survives a page
+     * reload
+     * 
+     * @private
+     */
+    this.setChallenge = function(challenge) {
+	var session = this.sessionManager.sessionDAO.readSession(config.challengeSid);
+	if (challenge === null) {
+	    this.sessionManager.delete(session);
+	} else {
+	    session = session || this.sessionManager.start(config.challengeSid);
+	    session.setAttribute('challenge', challenge);
+	    this.sessionManager.updateSid(session);
+	}
+	this.challenge = challenge;
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#runAs
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Allows this Subject to 'run as' or 'assume' another
+     *              identity indefinitely. The informations of the user are
+     *              fetched from the `runAs.api` uri and replace this Subject
+     *              authorization informations; the access token is kept
+     *              unless the backend issues a new one. The previous identity
+     *              is pushed on a stack kept in session and restored by
+     *              `releaseRunAs()`.
+     * 
+     * @param {*}
+     *                principals the principals of the user to run as
+     * 
+     * @returns {Promise} a promise resolved with the `authc` and `authz`
+     *          informations of the user once this Subject runs as it
+     */
+    this.runAs = function(principals) {
+	if (!this.isAuthenticated()) {
+	    throw '[Subject] This Subject does not have an identity, only an authenticated Subject can run as another user.';
+	}
+	var me = this;
+	var current = this.authenticationInfo;
+	var previous = authenticationResponseParser.format({
+	    authc : current,
+	    authz : this.authorizer.authorizationInfo
+	});
+	return authenticator.runAs(principals).then(function(infos) {
+	    if (!infos.authc.getAccessToken()) {
+		infos.authc = new AuthenticationInfo(infos.authc.getPrincipal(), infos.authc.getCredentials(), current
+			.getAccessToken(), current.getRefreshToken(), current.getExpiresAt());
+	    }
+	    var stack = me.getRunAsStack();
+	    stack.push(previous);
+	    me.setRunAsStack(stack);
+	    me.updateAuthenticationInfo(infos);
+	    return infos;
+	});
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#isRunAs
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Returns `true` if this Subject is running as another
+     *              identity
+     * 
+     * @return {boolean} `true` if this Subject is running as another identity
+     */
+    this.isRunAs = function() {
+	return this.getRunAsStack().length > 0;
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#getPreviousPrincipals
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Returns the identity of this Subject before it assumed its
+     *              current identity, or `null` if it is not running as another
+     *              identity
+     * 
+     * @return {*} the previous principals or `null`
+     */
+    this.getPreviousPrincipals = function() {
+	var stack = this.getRunAsStack();
+	if (stack.length === 0) {
+	    return null;
+	}
+	return authenticationResponseParser.parse(stack[stack.length - 1]).authc.getPrincipal();
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#releaseRunAs
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Releases the current identity and restores the previous
+     *              one along with its authorization informations
+     * 
+     * @return {*} the principals of the released identity, or `null` if this
+     *         Subject is not running as another identity
+     */
+    this.releaseRunAs = function() {
+	var stack = this.getRunAsStack();
+	if (stack.length === 0) {
+	    return null;
+	}
+	var released = this.getPrincipal();
+	var previous = authenticationResponseParser.parse(stack.pop());
+	this.setRunAsStack(stack);
+	this.updateAuthenticationInfo(previous);
+	return released;
+    };
+
     /**
+     * Returns the stack of the identities assumed before the current one,
+     * restored from the session after a page reload
      * 
+     * @private
+     */
+    this.getRunAsStack = function() {
+	var session = this.sessionManager.sessionDAO.readSession(config.runAsSid);
+	var stack = (session !== null) ? session.getAttribute('runAs') : null;
+	return (angular.isArray(stack)) ? stack : [];
+    };
+
+    /**
+     * Keeps the stack of the previous identities in session, or removes it
+     * once empty
+     * 
+     * @private
+     */
+    this.setRunAsStack = function(stack) {
+	var session = this.sessionManager.sessionDAO.readSession(config.runAsSid);
+	if (stack.length === 0) {
+	    this.sessionManager.delete(session);
+	} else {
+	    session = session || this.sessionManager.start(config.runAsSid);
+	    session.setAttribute('runAs', stack);
+	    this.sessionManager.updateSid(session);
+	}
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#reloadAuthorization
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Reads the authorization informations of this Subject from
+     *              the `authz.api` uri again, for example once an
+     *              administrator changed its permissions, and stores them. It
+     *              is called after each login and page reload when the uri is
+     *              configured; meanwhile the authorization informations of the
+     *              login response apply.
+     * 
+     * @returns {Promise} a promise resolved with the new
+     *          <code>AuthorizationInfo</code>; the current one is kept when
+     *          it is rejected
+     */
+    this.reloadAuthorization = function() {
+	if (!this.isAuthenticated()) {
+	    throw '[Subject] This Subject does not have an identity, only an authenticated Subject can reload its authorization.';
+	}
+	var me = this;
+	var principal = this.getPrincipal();
+	return authenticator.getAuthorizationInfo().then(function(authz) {
+	    // the Subject may have logged out or changed of identity meanwhile
+	    if (me.isAuthenticated() && angular.equals(me.getPrincipal(), principal)) {
+		me.updateAuthenticationInfo({
+		    authc : me.authenticationInfo,
+		    authz : authz
+		});
+	    }
+	    return authz;
+	});
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#updateAuthenticationInfo
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Associates the given authentication and authorization
+     *              informations with this Subject and stores them, for example
+     *              once the access token has been renewed
+     * 
+     * @param {object}
+     *                infos the `authc` and `authz` informations
+     */
+    this.updateAuthenticationInfo = function(infos) {
+	this.authenticationInfo = infos.authc;
+	this.authorizer.setAuthorizationInfo(infos.authz);
+	this.authenticated = true;
+	this.notifyListeners('onAuthorizationChanged', [ infos.authz ]);
+	//׼洢Ϣ
+        var sidSession = this.getSessionBySid(true,config.tokenSid);
+        sidSession.setAttribute('token',authenticationResponseParser.format(infos));
+        this.sessionManager.updateSid(sidSession);
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#rememberMe
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Logs this Subject in again by exchanging the remember me
+     *              token stored under the given session id at the
+     *              `rememberMe.api` uri. An expired token, or the credentials
+     *              stored by the previous versions, are removed.
+     * 
+     * @param {string}
+     *                sessionId the id of the session holding the remember me
+     *                token
+     * 
+     * @returns {Promise|boolean} the login promise, or `false` if there is no
+     *          valid remember me token
      */
     this.rememberMe = function(sessionId) {
 	var output = false;
 	var session = this.sessionManager.getSession(sessionId);
-	if (session !== null && session.getAttribute('token')) {
-	    var token = new UsernamePasswordToken();
-	    token.deserialize(session.getAttribute('token'));
-	    // auto login to reload authorization infos
-	    output = this.login(token);
+	if (session !== null) {
+	    var rememberMe = session.getAttribute('rememberMe');
+	    if (angular.isObject(rememberMe) && (!rememberMe.expiresAt || rememberMe.expiresAt > new Date().getTime())) {
+		this.session = session;
+		// exchange the token to reload authentication and authorization infos
+		output = this.login(new RememberMeToken(rememberMe.token));
+	    } else {
+		this.sessionManager.delete(session);
+	    }
 	}
 	return output;
     };
+
+    /**
+     * Stores the remember me token issued by the backend until its expiration;
+     * the Subject's credentials are never stored
+     * 
+     * @private
+     */
+    this.remember = function(rememberMe) {
+	if (!rememberMe || !config.rememberMe.api) {
+	    this.forget();
+	    return;
+	}
+	var session = this.getSession(true, config.remeberSid);
+	session.setAttribute('rememberMe', {
+	    token : rememberMe.token,
+	    expiresAt : (rememberMe.expiresAt) ? rememberMe.expiresAt.getTime() : null
+	});
+	this.sessionManager.update(session, rememberMe.expiresAt);
+	this.remembered = true;
+    };
+
+    /**
+     * Removes the stored remember me token
+     * 
+     * @private
+     */
+    this.forget = function() {
+	this.sessionManager.delete(this.session || this.sessionManager.sessionDAO.readSession(config.remeberSid));
+	this.session = null;
+	this.remembered = false;
+    };
     this.restoreAuth=function(config) {
         //ԻָϢڴ
         var session = this.sessionManager.getSession(config.tokenSid);
@@ -153,6 +573,11 @@ function Subject(authenticator, authorizer, authenticationResponseParser) {
                     this.authenticationInfo = infos.authc;
                     this.authorizer.setAuthorizationInfo(infos.authz);
                     this.authenticated = true;
+                    this.notifyListeners('onAuthorizationChanged', [ infos.authz ]);
+                    this.notifyListeners('onRestored', [ infos ]);
+                    if (config.authz.api) {
+                        this.reloadAuthorization();
+                    }
                     return true;
                 }
             }
@@ -170,14 +595,113 @@ function Subject(authenticator, authorizer, authenticationResponseParser) {
      *              is considered 'anonymous' and may continue to be used for
      *              another log-in if desired.
      * 
+     * The local state is cleared at once, then the backend is notified through
+     * the `logout.api` uri with the Subject tokens.
+     * 
      * @method logout
      * @public
+     * 
+     * @returns {Promise} a promise resolved once the backend answered, or
+     *          rejected if it could not be notified; the local state is cleared
+     *          in both cases
      */
     this.logout = function() {
+	var principal = this.getPrincipal();
+	var authenticationInfo = (this.isAuthenticated()) ? this.authenticationInfo : null;
+	var rememberMe = this.getRememberMeToken();
 	this.clear();
 	this.sessionManager.delete(this.session);
 	this.sessionManager.delete(this.sidSession);
+	this.setChallenge(null);
+	this.setRunAsStack([]);
+	this.notifyListeners('onLogout', [ principal ]);
+	return authenticator.logout(authenticationInfo, rememberMe);
+    };
+
+    /**
+     * Returns the stored remember me token, or `null`
+     * 
+     * @private
+     */
+    this.getRememberMeToken = function() {
+	var session = this.session || this.sessionManager.sessionDAO.readSession(config.remeberSid);
+	var rememberMe = (session !== null) ? session.getAttribute('rememberMe') : null;
+	return (angular.isObject(rememberMe)) ? rememberMe.token : null;
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#expire
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Clears this Subject authentication and authorization data
+     *              along with the stored authentication informations, without
+     *              removing the remember me data. Used when the backend no
+     *              longer considers the Subject authenticated. Nothing is
+     *              done, and no listener notified, when the Subject is not
+     *              authenticated.
+     */
+    this.expire = function() {
+	if (!this.isAuthenticated()) {
+	    return;
+	}
+	var principal = this.getPrincipal();
+	this.clear();
+	this.sessionManager.delete(this.sidSession || this.sessionManager.sessionDAO.readSession(config.tokenSid));
+	this.sidSession = null;
+	this.setRunAsStack([]);
+	this.notifyListeners('onExpired', [ principal ]);
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#addAuthenticationListener
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Registers a listener notified of this Subject
+     *              authentication events. A listener may implement any of the
+     *              following methods :
+     * 
+     * <pre>
+     * {
+     *     // successful login
+     *     onSuccess : function(token, infos) {},
+     *     // unsuccessful login
+     *     onFailure : function(token, error) {},
+     *     // second factor required
+     *     onChallenge : function(token, challenge) {},
+     *     // log out
+     *     onLogout : function(principal) {},
+     *     // the backend no longer considers the Subject authenticated
+     *     onExpired : function(principal) {},
+     *     // informations restored from the session by restoreAuth
+     *     onRestored : function(infos) {},
+     *     // roles and permissions set, or cleared (null)
+     *     onAuthorizationChanged : function(authorizationInfo) {}
+     * }
+     * </pre>
+     * 
+     * Listeners may also be registered through
+     * `angularShiroConfigProvider.addAuthenticationListener(listener)`.
+     * 
+     * @param {object}
+     *                listener the listener to register
+     */
+    this.addAuthenticationListener = function(listener) {
+	this.authenticationListeners.push(listener);
+    };
 
+    /**
+     * Invokes the specified method of the registered listeners
+     * 
+     * @private
+     */
+    this.notifyListeners = function(method, args) {
+	angular.forEach(this.authenticationListeners, function(listener) {
+	    if (angular.isFunction(listener[method])) {
+		listener[method].apply(listener, args);
+	    }
+	});
     };
 
     /**
@@ -219,6 +743,74 @@ function Subject(authenticator, authorizer, authenticationResponseParser) {
 	return principal;
     };
 
+    /**
+     * @ngdoc method
+     * @name Subject#getAccessToken
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Returns the token issued by the backend when this Subject
+     *              authenticated, or <code>null</code> if none was issued or
+     *              the Subject is anonymous
+     * 
+     * @return {string} the access token
+     */
+    this.getAccessToken = function() {
+	var accessToken = null;
+	if (angular.isObject(this.authenticationInfo)) {
+	    accessToken = this.authenticationInfo.getAccessToken();
+	}
+	return accessToken;
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#getExpiration
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Returns the expiration time of the access token this
+     *              Subject authenticated with (the `expiresAt` information or
+     *              the `exp` claim), or `null` if unknown
+     * 
+     * @return {Date} the expiration time or `null`
+     */
+    this.getExpiration = function() {
+	if (angular.isObject(this.authenticationInfo) && this.authenticationInfo.getExpiresAt()) {
+	    return this.authenticationInfo.getExpiresAt();
+	}
+	return this.getCredentialsTime('exp');
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#getIssuedAt
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Returns the time (`iat` claim) the token this Subject
+     *              authenticated with was issued at, or `null` if the Subject
+     *              credentials do not carry one
+     * 
+     * @return {Date} the issue time or `null`
+     */
+    this.getIssuedAt = function() {
+	return this.getCredentialsTime('iat');
+    };
+
+    /**
+     * Returns the `NumericDate` credentials property as a `Date`
+     * 
+     * @private
+     */
+    this.getCredentialsTime = function(name) {
+	var time = null;
+	if (angular.isObject(this.authenticationInfo)) {
+	    var credentials = this.authenticationInfo.getCredentials();
+	    if (angular.isObject(credentials) && angular.isNumber(credentials[name])) {
+		time = new Date(credentials[name] * 1000);
+	    }
+	}
+	return time;
+    };
+
     /**
      * @ngdoc method
      * @name Subject#isAuthenticated
@@ -326,13 +918,16 @@ function Subject(authenticator, authorizer, authenticationResponseParser) {
      * 
      * @param {string |
      *                Permission | array} permission a permission
+     * @param {object=}
+     *                instance the domain object the permission applies to;
+     *                its identifier is appended to the permission
      * @return {boolean | array} <code>true</code> if the current
      *         <code>Subject</code> has the specified permission(s),
      *         <code>false</code> otherwise.
      * 
      */
-    this.isPermitted = function(permissions) {
-	return this.isAuthenticated() && this.authorizer.isPermitted(permissions);
+    this.isPermitted = function(permissions, instance) {
+	return this.isAuthenticated() && this.authorizer.isPermitted(permissions, instance);
     };
 
     /**
@@ -345,21 +940,224 @@ function Subject(authenticator, authorizer, authenticationResponseParser) {
      * 
      * @param {array}
      *                permissions the permissions to check
+     * @param {object=}
+     *                instance the domain object the permissions apply to
      * 
      * @return {boolean} <code>true</code> if the current <code>Subject</code>
      *         implies all of the specified permissions, <code>false</code>
      *         otherwise
      */
-    this.isPermittedAll = function(permissions) {
-	return this.isAuthenticated() && this.authorizer.isPermittedAll(permissions);
+    this.isPermittedAll = function(permissions, instance) {
+	return this.isAuthenticated() && this.authorizer.isPermittedAll(permissions, instance);
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#explain
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Explains why this Subject is permitted or not the given
+     *              permission : which denied or granted permission, declared
+     *              directly or by which role, decided and how each part
+     *              compared (see `Authorizer.explain(permission, instance)`)
+     * 
+     * <pre>
+     * console.log(angular.toJson(subject.explain('report:export:42'), true));
+     * </pre>
+     * 
+     * @param {string |
+     *                Permission} permission the permission to explain
+     * @param {object=}
+     *                instance the domain object the permission applies to
+     * @return {object} the explanation, with the `authenticated` flag of
+     *         this Subject
+     */
+    this.explain = function(permission, instance) {
+	if (!this.isAuthenticated()) {
+	    return {
+		permission : permission,
+		authenticated : false,
+		permitted : false,
+		deniedBy : null,
+		grantedBy : null,
+		evaluations : []
+	    };
+	}
+	return angular.extend({
+	    authenticated : true
+	}, this.authorizer.explain(permission, instance));
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#isPermittedBy
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Returns <code>true</code> if the named policy grants this
+     *              Subject the access to the resource (see
+     *              {@link angularShiro.services.PolicyEngine PolicyEngine}).
+     *              The policy receives the `principal`, `credentials` and
+     *              `roles` of the Subject as attributes.
+     * 
+     * @param {string}
+     *                policy the policy name
+     * @param {*=}
+     *                resource the resource the access is requested to
+     * @return {boolean} <code>true</code> if the policy grants the access,
+     *         <code>false</code> otherwise
+     */
+    this.isPermittedBy = function(policy, resource) {
+	if (!this.isAuthenticated()) {
+	    return false;
+	}
+	return this.policyEngine.evaluate(policy, {
+	    principal : this.getPrincipal(),
+	    credentials : this.authenticationInfo.getCredentials(),
+	    roles : this.authorizer.roles
+	}, resource);
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#evaluate
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Evaluates a boolean authorization expression against this
+     *              Subject, for example
+     *              `authenticated && (hasRole('ADMIN') || isPermitted('report:view'))`
+     *              (see
+     *              {@link angularShiro.services.AuthorizationExpressionParser AuthorizationExpressionParser}
+     *              for the supported checks)
+     * 
+     * @param {string}
+     *                expression the authorization expression
+     * @return {boolean} the value of the expression
+     */
+    this.evaluate = function(expression) {
+	return this.expressionParser.parse(expression)(this);
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#checkAuthenticated
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Ensures this Subject is authenticated
+     * 
+     * @throws {UnauthenticatedException}
+     *                 when the Subject is not authenticated
+     */
+    this.checkAuthenticated = function() {
+	if (!this.isAuthenticated()) {
+	    throw new UnauthenticatedException('The Subject is not authenticated.', {
+		type : 'authenticated'
+	    });
+	}
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#checkPermission
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Ensures this Subject has the specified permission
+     * 
+     * @param {string |
+     *                Permission} permission the permission to check
+     * @param {object=}
+     *                instance the domain object the permission applies to
+     * @throws {UnauthenticatedException}
+     *                 when the Subject is not authenticated
+     * @throws {UnauthorizedException}
+     *                 when the Subject is not permitted
+     */
+    this.checkPermission = function(permission, instance) {
+	this.checkAuthenticated();
+	if (!this.isPermitted(permission, instance)) {
+	    throw new UnauthorizedException('The Subject is not permitted \'' + permission + '\'.', {
+		type : 'permission',
+		value : permission,
+		instance : instance
+	    });
+	}
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#checkPermissions
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Ensures this Subject has all the specified permissions
+     * 
+     * @param {array}
+     *                permissions the permissions to check
+     * @param {object=}
+     *                instance the domain object the permissions apply to
+     * @throws {UnauthenticatedException}
+     *                 when the Subject is not authenticated
+     * @throws {UnauthorizedException}
+     *                 for the first permission the Subject is not permitted
+     */
+    this.checkPermissions = function(permissions, instance) {
+	angular.forEach(permissions, function(permission) {
+	    this.checkPermission(permission, instance);
+	}, this);
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#checkRole
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Ensures this Subject has the specified role
+     * 
+     * @param {string}
+     *                role the role to check
+     * @throws {UnauthenticatedException}
+     *                 when the Subject is not authenticated
+     * @throws {UnauthorizedException}
+     *                 when the Subject does not have the role
+     */
+    this.checkRole = function(role) {
+	this.checkAuthenticated();
+	if (!this.hasRole(role)) {
+	    throw new UnauthorizedException('The Subject does not have the role \'' + role + '\'.', {
+		type : 'role',
+		value : role
+	    });
+	}
+    };
+
+    /**
+     * @ngdoc method
+     * @name Subject#checkRoles
+     * @methodOf angularShiro.services.Subject
+     * 
+     * @description Ensures this Subject has all the specified roles
+     * 
+     * @param {array}
+     *                roles the roles to check
+     * @throws {UnauthenticatedException}
+     *                 when the Subject is not authenticated
+     * @throws {UnauthorizedException}
+     *                 for the first role the Subject does not have
+     */
+    this.checkRoles = function(roles) {
+	angular.forEach(roles, function(role) {
+	    this.checkRole(role);
+	}, this);
     };
 
     /**
      * 
      */
     this.clear = function() {
+	var authenticated = this.authenticated;
 	this.authenticated = this.remembered = false;
 	this.authenticationInfo = null;
 	this.authorizer.clear();
+	if (authenticated) {
+	    this.notifyListeners('onAuthorizationChanged', [ null ]);
+	}
     };
 }
\ No newline at end of file
@@ -0,0 +1,213 @@
+'use strict';
+
+/* globals UsernamePasswordToken, AuthenticationException */
+
+/**
+ * @ngdoc object
+ * @name angularShiro.services.LoginThrottle
+ *
+ * @description `LoginThrottle` keeps track of the failed login attempts of
+ *              each principal in session and computes how long the next
+ *              attempt has to wait :
+ *
+ * - after each failure the wait doubles, starting from `backoff` seconds up to
+ * `maxBackoff` seconds ;
+ * - after `maxAttempts` failures the principal is locked out for `lockout`
+ * seconds, then its failures are forgotten.
+ *
+ * Only the attempts rejected by the backend with a `4xx` status are counted :
+ * network and server errors are not the user's fault. A successful login
+ * forgets the principal failures.
+ *
+ * The throttle is registered as an authentication listener of the Subject,
+ * which checks it before calling the `Authenticator` (see
+ * `angularShiroConfigProvider.setThrottleOptions(options)`).
+ *
+ * @param {SessionManager}
+ *                sessionManager the manager of the session holding the
+ *                failures
+ * @param {object}
+ *                config the `angular-shiro` configuration
+ *
+ * @since 0.2.0
+ */
+function LoginThrottle(sessionManager, config) {
+
+    var now = function() {
+	return new Date().getTime();
+    };
+
+    var getAttempts = function() {
+	var session = sessionManager.sessionDAO.readSession(config.throttleSid);
+	var attempts = (session !== null) ? session.getAttribute('attempts') : null;
+	return (angular.isObject(attempts)) ? attempts : {};
+    };
+
+    var setAttempts = function(attempts) {
+	var session = sessionManager.sessionDAO.readSession(config.throttleSid);
+	var keep = Math.max(config.throttle.lockout, config.throttle.maxBackoff) * 1000;
+	var expiresAt = 0;
+	angular.forEach(attempts, function(attempt) {
+	    expiresAt = Math.max(expiresAt, attempt.last + keep);
+	});
+	if (expiresAt === 0) {
+	    sessionManager.delete(session);
+	} else {
+	    session = session || sessionManager.start(config.throttleSid);
+	    session.setAttribute('attempts', attempts);
+	    sessionManager.update(session, new Date(expiresAt));
+	}
+    };
+
+    /**
+     * Returns the time the given attempt allows the next one, in milliseconds
+     *
+     * @private
+     */
+    var getReleaseTime = function(attempt) {
+	var options = config.throttle;
+	if (options.maxAttempts > 0 && attempt.count >= options.maxAttempts) {
+	    return attempt.last + options.lockout * 1000;
+	}
+	if (options.backoff > 0) {
+	    return attempt.last + Math.min(options.backoff * Math.pow(2, attempt.count - 1), options.maxBackoff) * 1000;
+	}
+	return 0;
+    };
+
+    /**
+     * Returns `true` if the error is the backend rejecting the credentials
+     *
+     * @private
+     */
+    var isRejection = function(error) {
+	return error instanceof AuthenticationException && error.status >= 400 && error.status < 500;
+    };
+
+    /**
+     * @ngdoc method
+     * @name LoginThrottle#supports
+     * @methodOf angularShiro.services.LoginThrottle
+     *
+     * @description Returns `true` if the attempts of the given token are
+     *              throttled, that is a `UsernamePasswordToken` while a
+     *              backoff or a lockout is configured
+     *
+     * @param {object}
+     *                token the authentication token
+     * @return {boolean} `true` if the token attempts are throttled
+     */
+    this.supports = function(token) {
+	return token instanceof UsernamePasswordToken && !!token.getPrincipal()
+		&& (config.throttle.backoff > 0 || config.throttle.maxAttempts > 0);
+    };
+
+    /**
+     * @ngdoc method
+     * @name LoginThrottle#getRemainingTime
+     * @methodOf angularShiro.services.LoginThrottle
+     *
+     * @description Returns the number of seconds the principal has to wait
+     *              before its next login attempt
+     *
+     * @param {string}
+     *                principal the principal
+     * @return {number} the remaining seconds, `0` if the principal may log in
+     */
+    this.getRemainingTime = function(principal) {
+	var attempt = getAttempts()[principal];
+	if (!attempt) {
+	    return 0;
+	}
+	return Math.max(0, Math.ceil((getReleaseTime(attempt) - now()) / 1000));
+    };
+
+    /**
+     * @ngdoc method
+     * @name LoginThrottle#isLocked
+     * @methodOf angularShiro.services.LoginThrottle
+     *
+     * @description Returns `true` if the principal reached the `maxAttempts`
+     *              failures and is still locked out
+     *
+     * @param {string}
+     *                principal the principal
+     * @return {boolean} `true` if the principal is locked out
+     */
+    this.isLocked = function(principal) {
+	var attempt = getAttempts()[principal];
+	return !!attempt && config.throttle.maxAttempts > 0 && attempt.count >= config.throttle.maxAttempts
+		&& this.getRemainingTime(principal) > 0;
+    };
+
+    /**
+     * @ngdoc method
+     * @name LoginThrottle#onFailure
+     * @methodOf angularShiro.services.LoginThrottle
+     *
+     * @description Counts a failed attempt when the backend rejected the
+     *              token; the failures of a principal whose lockout is over
+     *              are forgotten first
+     *
+     * @param {object}
+     *                token the authentication token
+     * @param {*}
+     *                error the rejection reason
+     */
+    this.onFailure = function(token, error) {
+	if (!this.supports(token) || !isRejection(error)) {
+	    return;
+	}
+	var attempts = getAttempts();
+	var principal = token.getPrincipal();
+	var attempt = attempts[principal];
+	var lockoutOver = !!attempt && config.throttle.maxAttempts > 0 && attempt.count >= config.throttle.maxAttempts
+		&& this.getRemainingTime(principal) === 0;
+	if (!attempt || lockoutOver) {
+	    attempt = {
+		count : 0
+	    };
+	}
+	attempt.count++;
+	attempt.last = now();
+	attempts[principal] = attempt;
+	setAttempts(attempts);
+    };
+
+    /**
+     * @ngdoc method
+     * @name LoginThrottle#onSuccess
+     * @methodOf angularShiro.services.LoginThrottle
+     *
+     * @description Forgets the failures of the principal of the token
+     *
+     * @param {object}
+     *                token the authentication token
+     */
+    this.onSuccess = function(token) {
+	if (!(token instanceof UsernamePasswordToken)) {
+	    return;
+	}
+	var attempts = getAttempts();
+	if (attempts[token.getPrincipal()]) {
+	    delete attempts[token.getPrincipal()];
+	    setAttempts(attempts);
+	}
+    };
+
+    /**
+     * @ngdoc method
+     * @name LoginThrottle#onChallenge
+     * @methodOf angularShiro.services.LoginThrottle
+     *
+     * @description Forgets the failures of the principal of the token, whose
+     *              credentials were accepted before a second factor is
+     *              required
+     *
+     * @param {object}
+     *                token the authentication token
+     */
+    this.onChallenge = function(token) {
+	this.onSuccess(token);
+    };
+}
@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * @ngdoc service
+ * @name angularShiro.services.angularShiroTracer
+ * @requires $log
+ * @requires angularShiro.services.AngularShiroConfig
+ * @requires angularShiro.services.Subject
+ *
+ * @description Logs the decisions of the directives and of the path filters
+ *              with `$log.debug` when the debug mode is on (see
+ *              `angularShiroConfigProvider.setDebug(debug)`). The denied
+ *              permission checks are logged along with their explanation (see
+ *              `Subject.explain(permission)`), which answers questions like
+ *              "why can't I see the export button?" :
+ *
+ * <pre>
+ * [angular-shiro] has-permission "report:export:42" denied for "edegas"
+ * </pre>
+ *
+ * @since 0.2.0
+ */
+var angularShiroTracer = [ '$log', 'angularShiroConfig', 'subject', function AngularShiroTracer($log, config, subject) {
+    return {
+
+	/**
+	 * @ngdoc method
+	 * @name angularShiroTracer#isEnabled
+	 * @methodOf angularShiro.services.angularShiroTracer
+	 * @description Returns `true` when the debug mode is on
+	 * @returns {boolean} `true` when the decisions are logged
+	 */
+	isEnabled : function() {
+	    return config.debug === true;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name angularShiroTracer#trace
+	 * @methodOf angularShiro.services.angularShiroTracer
+	 * @description Logs a decision
+	 * @param {string}
+	 *                source the directive or filter deciding
+	 * @param {*}
+	 *                requirement the checked role(s), permission(s),
+	 *                expression or policy
+	 * @param {boolean}
+	 *                granted `true` when the content is displayed or the
+	 *                filter lets the request through
+	 */
+	trace : function(source, requirement, granted) {
+	    if (this.isEnabled()) {
+		$log.debug('[angular-shiro] ' + source + ' ' + angular.toJson(requirement) + ' '
+			+ (granted ? 'granted' : 'denied') + ' for ' + angular.toJson(subject.getPrincipal()));
+	    }
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name angularShiroTracer#tracePermissions
+	 * @methodOf angularShiro.services.angularShiroTracer
+	 * @description Logs a permission decision, along with the explanation of
+	 *              each permission when it is denied
+	 * @param {string}
+	 *                source the directive or filter deciding
+	 * @param {string|array}
+	 *                permissions the checked permission(s)
+	 * @param {boolean}
+	 *                granted the decision
+	 */
+	tracePermissions : function(source, permissions, granted) {
+	    if (this.isEnabled()) {
+		this.trace(source, permissions, granted);
+		if (!granted) {
+		    angular.forEach(angular.isArray(permissions) ? permissions : [ permissions ], function(permission) {
+			$log.debug(subject.explain(permission));
+		    });
+		}
+	    }
+	}
+    };
+} ];
@@ -52,4 +52,13 @@ describe(
 				expect(element.children().length).toBe(1);
 			});
 
+			it('should display the element once a role is granted to the authenticated Subject', function() {
+				assignRole(GUEST);
+				makeHasAnyRole("['" + ADMIN + "', 'MANAGER']");
+				expect(element.children().length).toBe(0);
+				subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ ADMIN ], []));
+				$scope.$apply();
+				expect(element.children().length).toBe(1);
+			});
+
 		});
\ No newline at end of file
@@ -47,4 +47,30 @@ describe('hasPermission', function() {
 	expect(element.children().length).toBe(1);
     });
 
+    it('should check the permission against the object given to the on filter', function() {
+	assignPermission('document:edit:42');
+	makeHasPermission("'document:edit' | on:doc", true);
+	expect(element.children().length).toBe(0);
+	$scope.doc = {
+	    id : 42
+	};
+	$scope.$apply();
+	expect(element.children().length).toBe(1);
+	$scope.doc = {
+	    id : 7
+	};
+	$scope.$apply();
+	expect(element.children().length).toBe(0);
+    });
+
+    it('should not check the expression text when the object has no identifier', function() {
+	assignPermission('*');
+	$scope.doc = {};
+	makeHasPermission("'document:edit' | on:doc", true);
+	expect(element.children().length).toBe(0);
+	$scope.doc.id = 42;
+	$scope.$apply();
+	expect(element.children().length).toBe(1);
+    });
+
 });
\ No newline at end of file
@@ -43,4 +43,13 @@ describe('hasRole', function() {
 	expect(element.children().length).toBe(0);
     });
 
+    it('should display the element once the role is granted to the authenticated Subject', function() {
+	assignRole(GUEST);
+	makeHasRole(ADMIN);
+	expect(element.children().length).toBe(0);
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ ADMIN ], []));
+	$scope.$apply();
+	expect(element.children().length).toBe(1);
+    });
+
 });
\ No newline at end of file
@@ -46,4 +46,14 @@ describe('lacksPermission', function() {
 	expect(element.children().length).toBe(0);
     });
 
+    it('should not check the expression text when the object has no identifier', function() {
+	assignPermission('*');
+	$scope.doc = {};
+	makeLacksPermission("'document:edit' | on:doc", true);
+	expect(element.children().length).toBe(1);
+	$scope.doc.id = 42;
+	$scope.$apply();
+	expect(element.children().length).toBe(0);
+    });
+
 });
\ No newline at end of file
@@ -52,4 +52,14 @@ describe(
 				makeLacksRole('role');
 				expect(element.children().length).toBe(1);
 			});
+
+			it('should remove the element once the role is granted to the authenticated Subject', function() {
+				subject.authenticated = true;
+				subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ GUEST ], []));
+				makeLacksRole(ADMIN);
+				expect(element.children().length).toBe(1);
+				subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ ADMIN ], []));
+				$scope.$apply();
+				expect(element.children().length).toBe(0);
+			});
 		});
\ No newline at end of file
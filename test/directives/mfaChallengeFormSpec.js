@@ -0,0 +1,71 @@
+'use strict';
+
+describe('mfaChallengeForm', function() {
+
+	var $scope, $compile, $httpBackend, form, subject, challengeForm;
+
+	beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+		angularShiroConfigProvider.setMfaOptions({
+			api : '/api/authenticate/challenge'
+		});
+	}));
+	beforeEach(module('angularShiro.templates'));
+
+	beforeEach(inject(function($rootScope, _$compile_, _$httpBackend_, _subject_) {
+		$scope = $rootScope.$new();
+		$compile = _$compile_;
+		$httpBackend = _$httpBackend_;
+		subject = _subject_;
+		subject.setChallenge({
+			token : 'pending-1',
+			type : 'sms',
+			hint : '+33 6 ** ** ** 42'
+		});
+		$scope.success = jasmine.createSpy('success');
+		form = $compile('<mfa-challenge-form on-success="success()">')($scope);
+		$scope.$apply();
+
+		for ( var cs = $scope.$$childHead; cs; cs = cs.$$nextSibling) {
+			if (cs.challengeForm) {
+				challengeForm = cs.challengeForm;
+			}
+		}
+	}));
+
+	afterEach(function() {
+		subject.logout();
+	});
+
+	function isSubmitDisabled() {
+		return 'disabled' == angular.element(form).find('button').attr('disabled');
+	}
+
+	it('should display the challenge message', function() {
+		expect(form.text()).toContain('Enter the code sent by SMS to');
+		expect(form.text()).toContain('+33 6 ** ** ** 42');
+		expect(isSubmitDisabled()).toBeTruthy();
+	});
+
+	it('should complete the challenge', function() {
+		challengeForm.code.$setViewValue('123456');
+		$scope.$digest();
+		expect(isSubmitDisabled()).toBeFalsy();
+		$httpBackend.expectPOST('/api/authenticate/challenge').respond({
+			info : {
+				authc : {
+					principal : 'edegas',
+					credentials : {}
+				},
+				authz : {
+					roles : [],
+					permissions : []
+				}
+			}
+		});
+		angular.element(form).find('form').triggerHandler('submit');
+		$httpBackend.flush();
+		expect(subject.isAuthenticated()).toBeTruthy();
+		expect($scope.success).toHaveBeenCalled();
+	});
+
+});
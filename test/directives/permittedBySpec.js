@@ -0,0 +1,38 @@
+'use strict';
+
+describe('permittedBy', function() {
+
+    var $scope, element, subject;
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.addPolicy('isOwner', function(attributes, document) {
+	    return document.owner === attributes.principal;
+	});
+    }));
+
+    beforeEach(inject(function($rootScope, $compile, _subject_) {
+	$scope = $rootScope.$new();
+	subject = _subject_;
+	subject.authenticated = true;
+	subject.authenticationInfo = new AuthenticationInfo('edegas', {});
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([], []));
+	element = $compile('<div></div>')($scope);
+	element.append($compile('<div permitted-by="isOwner" resource="doc">Hi</div>')($scope));
+    }));
+
+    it('should display the element when the policy grants the access to the resource', function() {
+	$scope.$apply();
+	expect(element.children().length).toBe(0);
+	$scope.doc = {
+	    owner : 'edegas'
+	};
+	$scope.$apply();
+	expect(element.children().length).toBe(1);
+	$scope.doc = {
+	    owner : 'rmonet'
+	};
+	$scope.$apply();
+	expect(element.children().length).toBe(0);
+    });
+
+});
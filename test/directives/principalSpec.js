@@ -64,4 +64,12 @@ describe('principal', function() {
 		expect(element.text()).toBe('degas');
 	});
 
+	it('should render the previous principal', function() {
+		makePrincipal('edegas');
+		spyOn(subject, 'getPreviousPrincipals').and.returnValue('support');
+		element = $compile('<principal previous>')($scope);
+		$scope.$apply();
+		expect(element.text()).toBe('support');
+	});
+
 });
\ No newline at end of file
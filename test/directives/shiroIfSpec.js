@@ -0,0 +1,33 @@
+'use strict';
+
+describe('shiroIf', function() {
+
+    var $scope, element, subject;
+
+    beforeEach(module('angularShiro'));
+
+    beforeEach(inject(function($rootScope, $compile, _subject_) {
+	$scope = $rootScope.$new();
+	subject = _subject_;
+	element = $compile('<div></div>')($scope);
+	element.append($compile(
+		'<div shiro-if="authenticated && (hasRole(\'ADMIN\') || isPermitted(\'report:view\'))">Hi</div>')(
+		$scope));
+	$scope.$apply();
+    }));
+
+    it('should hide the element while the expression is false', function() {
+	expect(element.children().length).toBe(0);
+    });
+
+    it('should display the element when the authorization changes', function() {
+	subject.authenticated = true;
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([], [ 'report:*' ]));
+	$scope.$apply();
+	expect(element.children().length).toBe(1);
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'GUEST' ], []));
+	$scope.$apply();
+	expect(element.children().length).toBe(0);
+    });
+
+});
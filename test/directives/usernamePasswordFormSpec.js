@@ -42,4 +42,34 @@ describe('usernamePasswordForm', function() {
 				expect(isSubmitDisabled()).toBeFalsy();
 			});
 
+	it('should count down the wait after failed attempts', inject(function(
+			$interval) {
+		var wait = 2;
+		spyOn(subject, 'getLoginWaitTime').and.callFake(function() {
+			return wait;
+		});
+		loginForm.username.$setViewValue('edgar');
+		loginForm.password.$setViewValue('degas');
+		$scope.$digest();
+		expect(isSubmitDisabled()).toBeTruthy();
+		expect(form.text()).toContain('try again in 2s');
+		wait = 0;
+		$interval.flush(1000);
+		expect(isSubmitDisabled()).toBeFalsy();
+	}));
+
+	it('should display the label of the exception', inject(function(
+			$httpBackend) {
+		loginForm.username.$setViewValue('edgar');
+		loginForm.password.$setViewValue('degas');
+		$httpBackend.expectPOST('/api/authenticate').respond(423);
+		form.isolateScope().submit();
+		$httpBackend.flush();
+		expect(form.text()).toContain('This account is locked');
+		$httpBackend.expectPOST('/api/authenticate').respond(401);
+		form.isolateScope().submit();
+		$httpBackend.flush();
+		expect(form.text()).toContain('Username and password do not match');
+	}));
+
 });
\ No newline at end of file
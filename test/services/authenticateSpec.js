@@ -31,7 +31,16 @@ describe('authenticator', function() {
 
     it('should resolve the promise on successful login', function() {
 	$httpBackend.whenPOST("/api/authenticate").respond({
-	    status : 'success'
+	    info : {
+		authc : {
+		    principal : 'test',
+		    credentials : {}
+		},
+		authz : {
+		    roles : [],
+		    permissions : []
+		}
+	    }
 	});
 	authenticator.authenticate(token).then(function(data) {
 	    describe('should be successful', function(data) {
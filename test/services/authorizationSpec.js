@@ -0,0 +1,90 @@
+'use strict';
+
+describe('Subject authorization endpoint', function() {
+
+    var $httpBackend, subject, config;
+
+    var response = {
+	info : {
+	    authc : {
+		principal : 'edegas',
+		credentials : {}
+	    },
+	    authz : {
+		roles : [],
+		permissions : [ 'invoice:view' ]
+	    }
+	}
+    };
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.setAuthorizationOptions({
+	    api : '/api/me/authorization',
+	    mapping : {
+		roles : 'data.groups',
+		permissions : 'data.grants'
+	    }
+	});
+    }));
+
+    beforeEach(inject(function(_$httpBackend_, _subject_, angularShiroConfig) {
+	$httpBackend = _$httpBackend_;
+	subject = _subject_;
+	config = angularShiroConfig;
+    }));
+
+    afterEach(function() {
+	$httpBackend.verifyNoOutstandingExpectation();
+	$httpBackend.verifyNoOutstandingRequest();
+	subject.logout();
+    });
+
+    function authorization(groups, grants) {
+	return {
+	    data : {
+		groups : groups,
+		grants : grants
+	    }
+	};
+    }
+
+    function login() {
+	$httpBackend.expectPOST('/api/authenticate').respond(response);
+	$httpBackend.expectGET('/api/me/authorization').respond(authorization([ 'ACCOUNTANT' ], [ 'invoice:*' ]));
+	subject.login(new UsernamePasswordToken('edegas', 'secret'));
+	$httpBackend.flush();
+    }
+
+    it('should load the authorization after the login', function() {
+	login();
+	expect(subject.hasRole('ACCOUNTANT')).toBeTruthy();
+	expect(subject.isPermitted('invoice:edit')).toBeTruthy();
+    });
+
+    it('should reload the authorization on demand and keep it across a page reload', function() {
+	login();
+	var authz;
+	$httpBackend.expectGET('/api/me/authorization').respond(authorization([], [ 'invoice:view' ]));
+	subject.reloadAuthorization().then(function(result) {
+	    authz = result;
+	});
+	$httpBackend.flush();
+	expect(authz.getPermissions()).toEqual([ 'invoice:view' ]);
+	expect(subject.isPermitted('invoice:edit')).toBeFalsy();
+
+	subject.clear();
+	$httpBackend.expectGET('/api/me/authorization').respond(500);
+	expect(subject.restoreAuth(config)).toBeTruthy();
+	$httpBackend.flush();
+	expect(subject.getPrincipal()).toBe('edegas');
+	expect(subject.isPermittedAll([ 'invoice:view' ])).toBeTruthy();
+	expect(subject.hasRole('ACCOUNTANT')).toBeFalsy();
+    });
+
+    it('should require an authenticated Subject', function() {
+	expect(function() {
+	    subject.reloadAuthorization();
+	}).toThrow();
+    });
+
+});
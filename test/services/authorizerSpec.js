@@ -43,4 +43,301 @@ describe(
 			.toBeTruthy();
 	    });
 
-	});
\ No newline at end of file
+	});
+describe('authorizer with a role hierarchy', function() {
+
+    var authorizer;
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.setRoleHierarchy({
+	    'ADMIN' : [ 'EDITOR' ],
+	    'EDITOR' : 'VIEWER'
+	});
+	angularShiroConfigProvider.setRolePermissions({
+	    'EDITOR' : [ 'book:edit' ],
+	    'VIEWER' : [ 'book:view' ]
+	});
+    }));
+
+    beforeEach(inject(function(_authorizer_) {
+	authorizer = _authorizer_;
+    }));
+
+    it('should include the inherited roles', function() {
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'ADMIN' ], []));
+	expect(authorizer.hasAllRoles([ 'ADMIN', 'EDITOR', 'VIEWER' ])).toBeTruthy();
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'VIEWER' ], []));
+	expect(authorizer.hasRole('EDITOR')).toBeFalsy();
+    });
+
+    it('should grant the permissions of the roles', function() {
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'EDITOR' ], [ 'newsletter:view' ]));
+	expect(authorizer.isPermitted([ 'book:edit', 'book:view', 'newsletter:view', 'book:delete' ])).toEqual(
+		[ true, true, true, false ]);
+    });
+
+    it('should extend the hierarchy with the one of the backend', function() {
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'OWNER' ], [], {
+	    'OWNER' : [ 'ADMIN' ]
+	}, {
+	    'OWNER' : [ 'book:delete' ]
+	}));
+	expect(authorizer.hasRole('VIEWER')).toBeTruthy();
+	expect(authorizer.isPermittedAll([ 'book:delete', 'book:view' ])).toBeTruthy();
+    });
+
+    it('should reject a hierarchy holding a cycle', function() {
+	expect(function() {
+	    new AuthorizationInfo([], [], {
+		'A' : [ 'B' ],
+		'B' : [ 'C' ],
+		'C' : [ 'A' ]
+	    });
+	}).toThrow('[RolePermissionResolver] Cycle detected in the role hierarchy : A > B > C > A.');
+	expect(function() {
+	    authorizer.setAuthorizationInfo(new AuthorizationInfo([], [], {
+		'VIEWER' : [ 'ADMIN' ]
+	    }));
+	}).toThrow();
+    });
+
+});
+
+describe('authorizer with instance permissions', function() {
+
+    var authorizer;
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.setInstanceIdentifier('meta.ref');
+    }));
+
+    beforeEach(inject(function(_authorizer_) {
+	authorizer = _authorizer_;
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([], [ 'document:edit:42', 'document:view:*' ]));
+    }));
+
+    it('should append the identifier of the object to the permission', function() {
+	var doc = {
+	    meta : {
+		ref : 42
+	    }
+	};
+	expect(authorizer.resolveInstancePermission('document:edit', doc)).toBe('document:edit:42');
+	expect(authorizer.isPermitted('document:edit', doc)).toBeTruthy();
+	expect(authorizer.isPermitted('document:edit', {
+	    meta : {
+		ref : 7
+	    }
+	})).toBeFalsy();
+	expect(authorizer.isPermittedAll([ 'document:edit', 'document:view' ], doc)).toBeTruthy();
+	expect(authorizer.isPermitted('document:edit', 42)).toBeTruthy();
+    });
+
+    it('should not grant the permission on an object without identifier', function() {
+	expect(authorizer.resolveInstancePermission('document:view', {})).toBeNull();
+	expect(authorizer.isPermitted('document:view', {})).toBeFalsy();
+    });
+
+    it('should reject a permission template which is not a string', function() {
+	expect(function() {
+	    authorizer.resolveInstancePermission(new Permission('document:edit'), {
+		meta : {
+		    ref : 42
+		}
+	    });
+	}).toThrow();
+    });
+
+    it('should use the identifier function', function() {
+	authorizer.instanceIdentifier = function(doc) {
+	    return doc.uuid;
+	};
+	expect(authorizer.isPermitted('document:edit', {
+	    uuid : 42
+	})).toBeTruthy();
+    });
+
+});
+
+describe('authorizer with instance permissions and a custom part divider', function() {
+
+    var authorizer;
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.setPermissionOptions({
+	    partDivider : '/'
+	});
+    }));
+
+    beforeEach(inject(function(_authorizer_) {
+	authorizer = _authorizer_;
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([], [ 'document/edit/42' ]));
+    }));
+
+    it('should separate the instance part with the configured divider', function() {
+	expect(authorizer.resolveInstancePermission('document/edit', {
+	    id : 42
+	})).toBe('document/edit/42');
+	expect(authorizer.isPermitted('document/edit', {
+	    id : 42
+	})).toBeTruthy();
+	expect(authorizer.isPermitted('document/edit', {
+	    id : 7
+	})).toBeFalsy();
+    });
+
+});
+
+describe('authorizer with permission resolvers', function() {
+
+    var authorizer;
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider, $provide) {
+	$provide.value('rolePrefixResolver', {
+	    resolvePermission : function(permission) {
+		if (permission.indexOf('ROLE_') !== 0) {
+		    return null;
+		}
+		return {
+		    role : permission,
+		    implies : function(other) {
+			return other.role === permission;
+		    }
+		};
+	    }
+	});
+	angularShiroConfigProvider.addPermissionResolver('rolePrefixResolver');
+	angularShiroConfigProvider.addPermissionResolver(function() {
+	    return {
+		resolvePermission : function(permission) {
+		    return (permission === 'superuser') ? new AllPermission() : null;
+		}
+	    };
+	});
+	angularShiroConfigProvider.addPermissionResolver(new PermissionResolver({
+	    pattern : /^scope\//,
+	    partDivider : '/',
+	    subpartDivider : ' '
+	}));
+	angularShiroConfigProvider.setPermissionOptions({
+	    partDivider : '.'
+	});
+    }));
+
+    beforeEach(inject(function(_authorizer_) {
+	authorizer = _authorizer_;
+    }));
+
+    it('should resolve the strings with the first supporting resolver', function() {
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([], [ 'ROLE_ADMIN', 'scope/docs/read write', 'book.*' ]));
+	expect(authorizer.isPermitted([ 'ROLE_ADMIN', 'ROLE_USER' ])).toEqual([ true, false ]);
+	expect(authorizer.isPermitted([ 'scope/docs/read', 'scope/docs/delete' ])).toEqual([ true, false ]);
+	expect(authorizer.isPermitted([ 'book.edit', 'book:edit' ])).toEqual([ true, false ]);
+    });
+
+    it('should not let a wildcard permission imply the other types', function() {
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([], [ '*' ]));
+	expect(authorizer.isPermitted('book.edit')).toBeTruthy();
+	expect(authorizer.isPermitted('ROLE_ADMIN')).toBeFalsy();
+    });
+
+    it('should grant everything to the superuser', function() {
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([], [ 'superuser' ]));
+	expect(authorizer.isPermittedAll([ 'ROLE_ADMIN', 'scope/docs/read', 'book.edit' ])).toBeTruthy();
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([], [ new AllPermission() ]));
+	expect(authorizer.isPermitted('anything')).toBeTruthy();
+    });
+
+});
+
+describe('authorizer with denied permissions', function() {
+
+    var authorizer;
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.setRolePermissions({
+	    'ACCOUNTANT' : [ 'invoice:*', '!invoice:delete' ]
+	});
+    }));
+
+    beforeEach(inject(function(_authorizer_) {
+	authorizer = _authorizer_;
+    }));
+
+    it('should let a deny override the granted permissions', function() {
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([], [ 'invoice:*', '!invoice:delete' ]));
+	expect(authorizer.isPermitted([ 'invoice:view', 'invoice:edit:12', 'invoice:delete', 'invoice:delete:12' ]))
+		.toEqual([ true, true, false, false ]);
+	expect(authorizer.isPermittedAll([ 'invoice:view', 'invoice:delete' ])).toBeFalsy();
+    });
+
+    it('should deny a permission implying a denied one', function() {
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([], [ 'invoice:*', '!invoice:delete' ]));
+	expect(authorizer.isPermitted([ 'invoice:*', 'invoice', 'invoice:view' ])).toEqual([ false, false, true ]);
+	expect(authorizer.explain('invoice:*').deniedBy.permission).toBe('!invoice:delete');
+    });
+
+    it('should collect the granted and the denied permissions apart', function() {
+	var authInfo = new AuthorizationInfo([], [ 'invoice:*', '!invoice:delete' ]);
+	expect(authorizer.getPermissions(authInfo).length).toBe(1);
+	expect(authorizer.getPermissions(authInfo)[0].implies(new Permission('invoice:view'))).toBeTruthy();
+	expect(authorizer.getDeniedPermissions(authInfo)[0].implies(new Permission('invoice:delete'))).toBeTruthy();
+    });
+
+    it('should collect the denies of the roles', function() {
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'ACCOUNTANT' ], [ '*' ]));
+	expect(authorizer.isPermitted('book:delete')).toBeTruthy();
+	expect(authorizer.isPermitted('invoice:delete', {
+	    id : 12
+	})).toBeFalsy();
+    });
+
+});
+
+describe('authorizer explaining its decisions', function() {
+
+    var authorizer;
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.setRolePermissions({
+	    'ACCOUNTANT' : [ 'invoice:view,edit', '!invoice:edit:archived' ]
+	});
+    }));
+
+    beforeEach(inject(function(_authorizer_) {
+	authorizer = _authorizer_;
+	authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'ACCOUNTANT' ], [ 'report:*' ]));
+    }));
+
+    it('should name the granting permission and its role', function() {
+	var explanation = authorizer.explain('invoice:edit:12');
+	expect(explanation.permitted).toBeTruthy();
+	expect(explanation.deniedBy).toBeNull();
+	expect(explanation.grantedBy.permission).toBe('invoice:view,edit');
+	expect(explanation.grantedBy.role).toBe('ACCOUNTANT');
+	expect(explanation.evaluations.length).toBe(3);
+    });
+
+    it('should name the deny overriding the granted permissions', function() {
+	var explanation = authorizer.explain('invoice:edit', 'archived');
+	expect(explanation.permission).toBe('invoice:edit:archived');
+	expect(explanation.permitted).toBeFalsy();
+	expect(explanation.deniedBy.permission).toBe('!invoice:edit:archived');
+	expect(explanation.deniedBy.deny).toBeTruthy();
+	expect(explanation.grantedBy.permission).toBe('invoice:view,edit');
+    });
+
+    it('should compare the permissions part by part', function() {
+	var explanation = authorizer.explain('invoice:delete');
+	expect(explanation.permitted).toBeFalsy();
+	expect(explanation.grantedBy).toBeNull();
+	var parts = explanation.evaluations[2].parts;
+	expect(parts.map(function(part) {
+	    return part.reason;
+	})).toEqual([ 'contains', 'differs' ]);
+	expect(authorizer.explain('report:view:2015').evaluations[1].parts.map(function(part) {
+	    return part.reason;
+	})).toEqual([ 'contains', 'wildcard', 'implicit' ]);
+    });
+
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+describe('angularShiroEvents', function() {
+
+    var $httpBackend, $rootScope, subject, config, events, received, listener;
+
+    var response = {
+	info : {
+	    authc : {
+		principal : 'edegas',
+		credentials : {}
+	    },
+	    authz : {
+		roles : [ 'GUEST' ],
+		permissions : []
+	    }
+	}
+    };
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider, $provide) {
+	listener = jasmine.createSpyObj('listener', [ 'onSuccess', 'onLogout' ]);
+	$provide.value('auditListener', listener);
+	angularShiroConfigProvider.addAuthenticationListener('auditListener');
+	angularShiroConfigProvider.addAuthenticationListener([ 'subject', function(subject) {
+	    return {
+		onSuccess : function() {
+		    listener.principal = subject.getPrincipal();
+		}
+	    };
+	} ]);
+    }));
+
+    beforeEach(inject(function(_$httpBackend_, _$rootScope_, _subject_, angularShiroConfig, angularShiroEvents) {
+	$httpBackend = _$httpBackend_;
+	$rootScope = _$rootScope_;
+	subject = _subject_;
+	config = angularShiroConfig;
+	events = angularShiroEvents;
+	received = [];
+	angular.forEach(events, function(name) {
+	    $rootScope.$on(name, function(event, data) {
+		received.push([ name, data ]);
+	    });
+	});
+    }));
+
+    afterEach(function() {
+	subject.logout();
+	sessionStorage.removeItem(config.redirctSid);
+    });
+
+    function login() {
+	$httpBackend.expectPOST('/api/authenticate').respond(response);
+	subject.login(new UsernamePasswordToken('edegas', 'secret'));
+	$httpBackend.flush();
+	received = [];
+    }
+
+    function names() {
+	return received.map(function(item) {
+	    return item[0];
+	});
+    }
+
+    it('should broadcast the login success', function() {
+	$httpBackend.expectPOST('/api/authenticate').respond(response);
+	subject.login(new UsernamePasswordToken('edegas', 'secret'));
+	$httpBackend.flush();
+	expect(names()).toEqual([ events.authorizationChanged, events.loginSuccess ]);
+	expect(received[0][1].authorizationInfo.getRoles()).toEqual([ 'GUEST' ]);
+	expect(received[1][1].principal).toBe('edegas');
+    });
+
+    it('should broadcast the login failure', function() {
+	$httpBackend.expectPOST('/api/authenticate').respond(401, 'bad credentials');
+	subject.login(new UsernamePasswordToken('edegas', 'wrong'));
+	$httpBackend.flush();
+	expect(names()).toEqual([ events.loginFailure ]);
+	expect(received[0][1].principal).toBe('edegas');
+    });
+
+    it('should broadcast the logout', function() {
+	login();
+	subject.logout();
+	expect(names()).toEqual([ events.authorizationChanged, events.logout ]);
+	expect(received[0][1].authorizationInfo).toBeNull();
+	expect(received[1][1].principal).toBe('edegas');
+    });
+
+    it('should broadcast the session expiration', function() {
+	login();
+	subject.expire();
+	expect(names()).toEqual([ events.authorizationChanged, events.sessionExpired ]);
+	expect(received[1][1].principal).toBe('edegas');
+    });
+
+    it('should broadcast the restoration from the session', function() {
+	login();
+	subject.clear();
+	received = [];
+	expect(subject.restoreAuth(config)).toBeTruthy();
+	expect(names()).toEqual([ events.authorizationChanged, events.rememberMeRestored ]);
+	expect(received[1][1]).toEqual({
+	    principal : 'edegas',
+	    source : 'session'
+	});
+    });
+
+    it('should notify the registered listeners', function() {
+	login();
+	expect(listener.onSuccess).toHaveBeenCalled();
+	expect(listener.principal).toBe('edegas');
+	subject.logout();
+	expect(listener.onLogout).toHaveBeenCalledWith('edegas');
+    });
+
+});
@@ -0,0 +1,170 @@
+'use strict';
+
+describe('AuthenticationException', function() {
+
+    var $httpBackend, subject;
+
+    function login() {
+	var error;
+	subject.login(new UsernamePasswordToken('edegas', 'secret')).then(null, function(e) {
+	    error = e;
+	});
+	$httpBackend.flush();
+	return error;
+    }
+
+    describe('with the default options', function() {
+
+	beforeEach(module('angularShiro'));
+
+	beforeEach(inject(function(_$httpBackend_, _subject_) {
+	    $httpBackend = _$httpBackend_;
+	    subject = _subject_;
+	}));
+
+	it('should map the response status', function() {
+	    $httpBackend.expectPOST('/api/authenticate').respond(401);
+	    var error = login();
+	    expect(error instanceof IncorrectCredentialsException).toBeTruthy();
+	    expect(error instanceof CredentialsException).toBeTruthy();
+	    expect(error instanceof AuthenticationException).toBeTruthy();
+	    expect(error.name).toBe('IncorrectCredentialsException');
+	    expect(error.status).toBe(401);
+	});
+
+	it('should prefer the body code to the status', function() {
+	    $httpBackend.expectPOST('/api/authenticate').respond(401, {
+		code : 'LOCKED_ACCOUNT',
+		message : 'Locked until tomorrow'
+	    });
+	    var error = login();
+	    expect(error instanceof LockedAccountException).toBeTruthy();
+	    expect(error instanceof AccountException).toBeTruthy();
+	    expect(error.message).toBe('Locked until tomorrow');
+	});
+
+	it('should not blame the user for network and server errors', function() {
+	    $httpBackend.expectPOST('/api/authenticate').respond(0);
+	    var error = login();
+	    expect(error.name).toBe('AuthenticationException');
+	    $httpBackend.expectPOST('/api/authenticate').respond(500);
+	    error = login();
+	    expect(error.name).toBe('AuthenticationException');
+	    expect(error.message).toContain('500');
+	});
+
+    });
+
+    describe('with custom options', function() {
+
+	beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	    angularShiroConfigProvider.setExceptionOptions({
+		codePath : 'error.reason',
+		codes : {
+		    'password_expired' : 'ExpiredCredentialsException',
+		    'password_reused' : 'PasswordReusedException'
+		},
+		mapper : function(status) {
+		    return (status === 418) ? new UnknownAccountException('No such teapot') : null;
+		}
+	    });
+	}));
+
+	beforeEach(inject(function(_$httpBackend_, _subject_) {
+	    $httpBackend = _$httpBackend_;
+	    subject = _subject_;
+	}));
+
+	it('should look the code up at the configured path', function() {
+	    $httpBackend.expectPOST('/api/authenticate').respond(400, {
+		error : {
+		    reason : 'password_expired'
+		}
+	    });
+	    expect(login().name).toBe('ExpiredCredentialsException');
+	});
+
+	it('should fall back to a generic exception for an unknown name', function() {
+	    $httpBackend.expectPOST('/api/authenticate').respond(400, {
+		error : {
+		    reason : 'password_reused'
+		}
+	    });
+	    var error = login();
+	    expect(error instanceof AuthenticationException).toBeTruthy();
+	    expect(error.name).toBe('PasswordReusedException');
+	    expect(error.status).toBe(400);
+	});
+
+	it('should invoke the mapper first', function() {
+	    $httpBackend.expectPOST('/api/authenticate').respond(418);
+	    expect(login().message).toBe('No such teapot');
+	    $httpBackend.expectPOST('/api/authenticate').respond(423);
+	    expect(login().name).toBe('LockedAccountException');
+	});
+
+    });
+
+});
+
+describe('AuthorizationException', function() {
+
+    var subject;
+
+    beforeEach(module('angularShiro'));
+
+    beforeEach(inject(function(_subject_) {
+	subject = _subject_;
+    }));
+
+    function thrown(fn) {
+	try {
+	    fn();
+	} catch (e) {
+	    return e;
+	}
+	return null;
+    }
+
+    it('should require an authenticated Subject', function() {
+	var error = thrown(function() {
+	    subject.checkPermission('invoice:view');
+	});
+	expect(error instanceof UnauthenticatedException).toBeTruthy();
+	expect(error instanceof AuthorizationException).toBeTruthy();
+	expect(error.requirement.type).toBe('authenticated');
+	expect(thrown(function() {
+	    subject.checkAuthenticated();
+	}).name).toBe('UnauthenticatedException');
+    });
+
+    it('should carry the failed requirement', function() {
+	subject.authenticated = true;
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'ACCOUNTANT' ], [ 'invoice:view' ]));
+	expect(thrown(function() {
+	    subject.checkAuthenticated();
+	    subject.checkRoles([ 'ACCOUNTANT' ]);
+	    subject.checkPermission('invoice:view', {
+		id : 12
+	    });
+	})).toBeNull();
+	var error = thrown(function() {
+	    subject.checkPermissions([ 'invoice:view', 'invoice:delete', 'invoice:edit' ]);
+	});
+	expect(error instanceof UnauthorizedException).toBeTruthy();
+	expect(error.message).toBe('The Subject is not permitted \'invoice:delete\'.');
+	expect(error.requirement).toEqual({
+	    type : 'permission',
+	    value : 'invoice:delete',
+	    instance : undefined
+	});
+	error = thrown(function() {
+	    subject.checkRole('ADMIN');
+	});
+	expect(error.requirement).toEqual({
+	    type : 'role',
+	    value : 'ADMIN'
+	});
+    });
+
+});
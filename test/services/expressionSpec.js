@@ -0,0 +1,58 @@
+'use strict';
+
+describe('AuthorizationExpressionParser', function() {
+
+    var subject;
+
+    beforeEach(module('angularShiro'));
+
+    beforeEach(inject(function(_subject_) {
+	subject = _subject_;
+    }));
+
+    function authorize(roles, permissions) {
+	subject.authenticated = true;
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo(roles, permissions));
+    }
+
+    it('should evaluate the flags of an anonymous Subject', function() {
+	expect(subject.evaluate('authenticated')).toBe(false);
+	expect(subject.evaluate('guest && !remembered')).toBe(true);
+	expect(subject.evaluate('hasRole("ADMIN")')).toBe(false);
+    });
+
+    it('should combine the checks', function() {
+	authorize([ 'EDITOR', 'SUSPENDED' ], [ 'report:view' ]);
+	var expression = 'authenticated && (hasRole(\'ADMIN\') || isPermitted(\'report:view\')) && !hasRole(\'SUSPENDED\')';
+	expect(subject.evaluate(expression)).toBe(false);
+	authorize([ 'EDITOR' ], [ 'report:view' ]);
+	expect(subject.evaluate(expression)).toBe(true);
+	expect(subject.evaluate('hasAnyRole(\'ADMIN\', \'EDITOR\') && hasAllRoles([\'EDITOR\'])')).toBe(true);
+	expect(subject.evaluate('isPermittedAll(\'report:view\', \'report:edit\') || lacksRole(\'EDITOR\')')).toBe(
+		false);
+	expect(subject.evaluate('hasAnyPermission([\'report:edit\', \'report:view\'])')).toBe(true);
+    });
+
+    it('should cache the compiled expressions', function() {
+	expect(subject.expressionParser.parse('authenticated')).toBe(subject.expressionParser.parse('authenticated'));
+    });
+
+    it('should reject what is not an authorization check', function() {
+	expect(function() {
+	    subject.evaluate('window.alert(\'x\')');
+	}).toThrow('[AuthorizationExpression] Unexpected character at column 7 of \'window.alert(\'x\')\'.');
+	expect(function() {
+	    subject.evaluate('constructor');
+	}).toThrow('[AuthorizationExpression] Unknown check \'constructor\' at column 1 of \'constructor\'.');
+	expect(function() {
+	    subject.evaluate('hasRole(ADMIN)');
+	}).toThrow();
+	expect(function() {
+	    subject.evaluate('(authenticated');
+	}).toThrow('[AuthorizationExpression] Expected \')\' at the end of \'(authenticated\'.');
+	expect(function() {
+	    subject.evaluate('');
+	}).toThrow();
+    });
+
+});
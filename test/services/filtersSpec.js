@@ -114,11 +114,30 @@ describe('logoutFilter', function() {
 
     beforeEach(module('angularShiro'));
 
-    it('should be unauthenticated after execution', inject(function(subject, logout, $location) {
+    it('should be unauthenticated after execution', inject(function(subject, logout, $location, $rootScope) {
 	subject.authenticated = true;
+	spyOn($location, 'path').and.callThrough();
 	logout.execute('/logout');
 	expect(subject.isAuthenticated()).toBeFalsy();
-	expect($location.path()).toEqual('/');
+	expect($location.path).not.toHaveBeenCalledWith('/');
+	$rootScope.$digest();
+	expect($location.path).toHaveBeenCalledWith('/');
+    }));
+
+    it('should notify the backend then redirect', inject(function(subject, logout, $location, $httpBackend) {
+	subject.authenticated = true;
+	subject.authenticationInfo = new AuthenticationInfo('edegas', {}, 'access-token', 'refresh-token');
+	$httpBackend.expectPOST('/api/logout', {
+	    principal : 'edegas',
+	    accessToken : 'access-token',
+	    refreshToken : 'refresh-token',
+	    rememberMeToken : null
+	}).respond(500);
+	spyOn($location, 'path').and.callThrough();
+	logout.execute('/logout');
+	expect(subject.isAuthenticated()).toBeFalsy();
+	$httpBackend.flush();
+	expect($location.path).toHaveBeenCalledWith('/');
     }));
 
 });
@@ -198,6 +217,10 @@ describe('$location', function() {
 	$location = _$location_;
     }));
 
+    afterEach(function() {
+	sessionStorage.removeItem(config.redirctSid);
+    });
+
     it('should be redirected on logout', function() {
 	console.log($rootScope.$$listenerCount);
 	$rootScope.$apply(function() {
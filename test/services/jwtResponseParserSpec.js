@@ -0,0 +1,87 @@
+'use strict';
+
+describe('jwtResponseParser', function() {
+
+    var jwtResponseParser, claims;
+
+    function encode(obj) {
+	return window.btoa(angular.toJson(obj)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function makeJwt(claims) {
+	return encode({
+	    alg : 'HS256',
+	    typ : 'JWT'
+	}) + '.' + encode(claims) + '.signature';
+    }
+
+    beforeEach(module('angularShiro'));
+
+    beforeEach(inject(function(_jwtResponseParser_) {
+	jwtResponseParser = _jwtResponseParser_;
+	claims = {
+	    sub : 'edegas',
+	    iat : 1500000000,
+	    exp : 1500000600,
+	    roles : [ 'ADMIN' ],
+	    permissions : [ 'newsletter:*' ],
+	    scope : 'book:view book:edit'
+	};
+    }));
+
+    it('should reject a response without token', function() {
+	expect(function() {
+	    jwtResponseParser.parse({
+		info : {}
+	    });
+	}).toThrow();
+	expect(function() {
+	    jwtResponseParser.parse('not a token');
+	}).toThrow();
+    });
+
+    it('should parse a token or a response holding the token', function() {
+	var jwt = makeJwt(claims);
+	expect(jwtResponseParser.parse(jwt).authc.getPrincipal()).toBe('edegas');
+	expect(jwtResponseParser.parse({
+	    token : jwt
+	}).authc.getPrincipal()).toBe('edegas');
+    });
+
+    it('should map claims to authz', function() {
+	var authz = jwtResponseParser.parse(makeJwt(claims)).authz;
+	expect(authz.getRoles()).toEqual([ 'ADMIN' ]);
+	expect(authz.getPermissions()).toEqual([ 'newsletter:*', 'book:view', 'book:edit' ]);
+    });
+
+    it('should expose exp and iat on the Subject', inject(function(subject) {
+	subject.authenticationInfo = jwtResponseParser.parse(makeJwt(claims)).authc;
+	expect(subject.getExpiration().getTime()).toBe(1500000600000);
+	expect(subject.getIssuedAt().getTime()).toBe(1500000000000);
+    }));
+
+});
+
+describe('jwtResponseParser with custom claims', function() {
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.setJwtOptions({
+	    principal : 'email',
+	    roles : 'groups',
+	    permissions : 'scope'
+	});
+    }));
+
+    it('should map the configured claims', inject(function(jwtResponseParser) {
+	var payload = window.btoa(angular.toJson({
+	    email : 'degas@mail.com',
+	    groups : 'ADMIN GUEST',
+	    scope : [ 'book:view' ]
+	}));
+	var infos = jwtResponseParser.parse('header.' + payload + '.signature');
+	expect(infos.authc.getPrincipal()).toBe('degas@mail.com');
+	expect(infos.authz.getRoles()).toEqual([ 'ADMIN', 'GUEST' ]);
+	expect(infos.authz.getPermissions()).toEqual([ 'book:view' ]);
+    }));
+
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+describe('Subject second factor challenge', function() {
+
+    var $httpBackend, subject;
+
+    var challenge = {
+	challenge : {
+	    token : 'pending-1',
+	    type : 'sms',
+	    hint : '+33 6 ** ** ** 42'
+	}
+    };
+
+    var response = {
+	info : {
+	    authc : {
+		principal : 'edegas',
+		credentials : {}
+	    },
+	    authz : {
+		roles : [ 'GUEST' ],
+		permissions : []
+	    }
+	}
+    };
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.setMfaOptions({
+	    api : '/api/authenticate/challenge'
+	});
+    }));
+
+    beforeEach(inject(function(_$httpBackend_, _subject_) {
+	$httpBackend = _$httpBackend_;
+	subject = _subject_;
+	$httpBackend.expectPOST('/api/authenticate').respond(challenge);
+	subject.login(new UsernamePasswordToken('edegas', 'secret'));
+	$httpBackend.flush();
+    }));
+
+    afterEach(function() {
+	$httpBackend.verifyNoOutstandingExpectation();
+	$httpBackend.verifyNoOutstandingRequest();
+	subject.logout();
+    });
+
+    it('should not authenticate the Subject before the second factor', function() {
+	expect(subject.isAuthenticated()).toBeFalsy();
+	expect(subject.isChallenged()).toBeTruthy();
+	expect(subject.getChallenge().type).toBe('sms');
+    });
+
+    it('should keep the challenge in session', function() {
+	subject.challenge = null;
+	expect(subject.getChallenge().token).toBe('pending-1');
+	expect(subject.getChallenge().hint).toBe('+33 6 ** ** ** 42');
+    });
+
+    it('should authenticate the Subject once the code is accepted', function() {
+	$httpBackend.expectPOST('/api/authenticate/challenge', {
+	    token : {
+		principal : 'pending-1',
+		credentials : '123456'
+	    }
+	}).respond(response);
+	subject.completeChallenge('123456');
+	$httpBackend.flush();
+	expect(subject.isAuthenticated()).toBeTruthy();
+	expect(subject.getPrincipal()).toBe('edegas');
+	expect(subject.isChallenged()).toBeFalsy();
+	subject.challenge = null;
+	expect(subject.isChallenged()).toBeFalsy();
+    });
+
+    it('should keep the challenge pending when the code is rejected', function() {
+	$httpBackend.expectPOST('/api/authenticate/challenge').respond(401);
+	subject.completeChallenge('000000');
+	$httpBackend.flush();
+	expect(subject.isAuthenticated()).toBeFalsy();
+	expect(subject.isChallenged()).toBeTruthy();
+    });
+
+    it('should drop the cancelled challenge', function() {
+	subject.cancelChallenge();
+	expect(subject.isChallenged()).toBeFalsy();
+	expect(function() {
+	    subject.completeChallenge('123456');
+	}).toThrow();
+    });
+
+});
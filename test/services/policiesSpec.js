@@ -0,0 +1,85 @@
+'use strict';
+
+describe('PolicyEngine', function() {
+
+    var $httpBackend, subject;
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider, $provide) {
+	$provide.value('expenseLimits', {
+	    approval : 5000
+	});
+	angularShiroConfigProvider.addPolicy('canApproveExpense', [ 'expenseLimits', function(limits) {
+	    return function(attributes, expense, environment) {
+		return attributes.roles.indexOf('MANAGER') > -1 && expense.costCenter === attributes.principal.costCenter
+			&& expense.amount < limits.approval && environment.now instanceof Date;
+	    };
+	} ]);
+	angularShiroConfigProvider.addPolicy('onReports', function(attributes, resource, environment) {
+	    return environment.path.indexOf('/reports') === 0;
+	});
+    }));
+
+    beforeEach(inject(function(_$httpBackend_, _subject_) {
+	$httpBackend = _$httpBackend_;
+	subject = _subject_;
+    }));
+
+    afterEach(function() {
+	subject.logout();
+    });
+
+    function login(roles) {
+	$httpBackend.expectPOST('/api/authenticate').respond({
+	    info : {
+		authc : {
+		    principal : {
+			login : 'edegas',
+			costCenter : 'CC42'
+		    },
+		    credentials : {}
+		},
+		authz : {
+		    roles : roles,
+		    permissions : []
+		}
+	    }
+	});
+	subject.login(new UsernamePasswordToken('edegas', 'secret'));
+	$httpBackend.flush();
+    }
+
+    it('should evaluate the policy against the attributes and the resource', function() {
+	var expense = {
+	    costCenter : 'CC42',
+	    amount : 1200
+	};
+	expect(subject.isPermittedBy('canApproveExpense', expense)).toBe(false);
+	login([ 'MANAGER' ]);
+	expect(subject.isPermittedBy('canApproveExpense', expense)).toBe(true);
+	expense.amount = 7000;
+	expect(subject.isPermittedBy('canApproveExpense', expense)).toBe(false);
+	expect(subject.isPermittedBy('canApproveExpense', {
+	    costCenter : 'CC7',
+	    amount : 10
+	})).toBe(false);
+    });
+
+    it('should expose the location in the environment', inject(function($location) {
+	login([]);
+	$location.path('/reports/2015');
+	expect(subject.isPermittedBy('onReports')).toBe(true);
+	$location.path('/home');
+	expect(subject.isPermittedBy('onReports')).toBe(false);
+    }));
+
+    it('should reject an unknown policy', function() {
+	login([]);
+	expect(function() {
+	    subject.isPermittedBy('canDeleteEverything');
+	}).toThrow('[PolicyEngine] Unknown policy \'canDeleteEverything\'.');
+	expect(function() {
+	    subject.policyEngine.register('broken', true);
+	}).toThrow();
+    });
+
+});
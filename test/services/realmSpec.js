@@ -0,0 +1,144 @@
+'use strict';
+
+describe('ModularRealmAuthenticator', function() {
+
+    var $q, $rootScope, token;
+
+    function mockRealm(name, roles, fail) {
+	return {
+	    attempts : 0,
+	    getName : function() {
+		return name;
+	    },
+	    supports : function(token) {
+		return true;
+	    },
+	    getAuthenticationInfo : function(token) {
+		this.attempts++;
+		if (fail) {
+		    return $q.reject(name + ' failure');
+		}
+		return $q.when({
+		    authc : new AuthenticationInfo(name, {}),
+		    authz : new AuthorizationInfo(roles, [])
+		});
+	    }
+	};
+    }
+
+    function authenticate(realms, strategy) {
+	var result = {};
+	new ModularRealmAuthenticator(function() {
+	    return realms;
+	}, strategy, $q).authenticate(token).then(function(infos) {
+	    result.infos = infos;
+	}, function(error) {
+	    result.error = error;
+	});
+	$rootScope.$apply();
+	return result;
+    }
+
+    beforeEach(module('angularShiro'));
+
+    beforeEach(inject(function(_$q_, _$rootScope_) {
+	$q = _$q_;
+	$rootScope = _$rootScope_;
+	token = new UsernamePasswordToken('edegas', 'secret');
+    }));
+
+    it('should merge the roles of the successful realms', function() {
+	var result = authenticate([ mockRealm('a', [ 'ADMIN' ]), mockRealm('b', [], true),
+		mockRealm('c', [ 'GUEST' ]) ], new AtLeastOneSuccessfulStrategy());
+	expect(result.infos.authc.getPrincipal()).toBe('a');
+	expect(result.infos.authz.getRoles()).toEqual([ 'ADMIN', 'GUEST' ]);
+    });
+
+    it('should reject with the last failure when no realm succeeds', function() {
+	var result = authenticate([ mockRealm('a', [], true), mockRealm('b', [], true) ],
+		new AtLeastOneSuccessfulStrategy());
+	expect(result.error).toBe('b failure');
+    });
+
+    it('should stop at the first successful realm', function() {
+	var first = mockRealm('a', [], true), second = mockRealm('b', [ 'GUEST' ]), third = mockRealm('c', [ 'ADMIN' ]);
+	var result = authenticate([ first, second, third ], new FirstSuccessfulStrategy());
+	expect(result.infos.authc.getPrincipal()).toBe('b');
+	expect(result.infos.authz.getRoles()).toEqual([ 'GUEST' ]);
+	expect(third.attempts).toBe(0);
+    });
+
+    it('should require all the realms to succeed', function() {
+	var result = authenticate([ mockRealm('a', [ 'ADMIN' ]), mockRealm('b', [], true) ],
+		new AllSuccessfulStrategy());
+	expect(result.error).toBe('b failure');
+	result = authenticate([ mockRealm('a', [ 'ADMIN' ]), mockRealm('b', [ 'GUEST' ]) ], new AllSuccessfulStrategy());
+	expect(result.infos.authz.getRoles()).toEqual([ 'ADMIN', 'GUEST' ]);
+    });
+
+    it('should only consult the realms supporting the token', function() {
+	var unsupported = mockRealm('a', [ 'ADMIN' ]);
+	unsupported.supports = function() {
+	    return false;
+	};
+	var result = authenticate([ unsupported, mockRealm('b', [ 'GUEST' ]) ], new AtLeastOneSuccessfulStrategy());
+	expect(unsupported.attempts).toBe(0);
+	expect(result.infos.authc.getPrincipal()).toBe('b');
+    });
+
+});
+
+describe('authenticator with realms', function() {
+
+    var authenticator, $httpBackend, $rootScope;
+
+    var response = function(principal, roles) {
+	return {
+	    info : {
+		authc : {
+		    principal : principal,
+		    credentials : {}
+		},
+		authz : {
+		    roles : roles,
+		    permissions : []
+		}
+	    }
+	};
+    };
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.addRealm({
+	    name : 'employees',
+	    api : '/api/employees/authenticate'
+	});
+	angularShiroConfigProvider.addRealm({
+	    name : 'partners',
+	    api : '/api/partners/authenticate'
+	});
+	angularShiroConfigProvider.setAuthenticationStrategy('firstSuccessful');
+    }));
+
+    beforeEach(inject(function(_authenticator_, _$httpBackend_, _$rootScope_) {
+	authenticator = _authenticator_;
+	$httpBackend = _$httpBackend_;
+	$rootScope = _$rootScope_;
+    }));
+
+    afterEach(function() {
+	$httpBackend.verifyNoOutstandingExpectation();
+	$httpBackend.verifyNoOutstandingRequest();
+    });
+
+    it('should fall back to the next realm on failure', function() {
+	var principal;
+	$httpBackend.expectPOST('/api/employees/authenticate').respond(401, {});
+	$httpBackend.expectPOST('/api/partners/authenticate').respond(response('partner', [ 'PARTNER' ]));
+	authenticator.authenticate(new UsernamePasswordToken('partner', 'secret')).then(function(infos) {
+	    principal = infos.authc.getPrincipal();
+	});
+	$httpBackend.flush();
+	expect(principal).toBe('partner');
+    });
+
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+describe('tokenRefresher', function() {
+
+    var $httpBackend, $timeout, $location, subject, tokenRefresher;
+
+    function response(accessToken, refreshToken) {
+	return {
+	    info : {
+		authc : {
+		    principal : 'edegas',
+		    credentials : {},
+		    accessToken : accessToken,
+		    refreshToken : refreshToken,
+		    expiresIn : 600
+		},
+		authz : {
+		    roles : [ 'GUEST' ],
+		    permissions : []
+		}
+	    }
+	};
+    }
+
+    beforeEach(module('angularShiro', function($httpProvider, angularShiroConfigProvider) {
+	$httpProvider.interceptors.push('angularShiroHttpInterceptor');
+	$httpProvider.interceptors.push('angularShiroAuthErrorInterceptor');
+	angularShiroConfigProvider.setRefreshOptions({
+	    api : '/api/refresh'
+	});
+    }));
+
+    beforeEach(inject(function(_$httpBackend_, _$timeout_, _$location_, _subject_, _tokenRefresher_) {
+	$httpBackend = _$httpBackend_;
+	$timeout = _$timeout_;
+	$location = _$location_;
+	subject = _subject_;
+	tokenRefresher = _tokenRefresher_;
+	$httpBackend.expectPOST('/api/authenticate').respond(response('access-1', 'refresh-1'));
+	subject.login(new UsernamePasswordToken('edegas', 'secret'));
+	$httpBackend.flush();
+    }));
+
+    afterEach(function() {
+	$httpBackend.verifyNoOutstandingExpectation();
+	$httpBackend.verifyNoOutstandingRequest();
+	subject.logout();
+    });
+
+    it('should keep the refresh token and the expiration', function() {
+	expect(subject.authenticationInfo.getRefreshToken()).toBe('refresh-1');
+	var delay = subject.getExpiration().getTime() - new Date().getTime();
+	expect(delay > 590000 && delay <= 600000).toBeTruthy();
+	expect(tokenRefresher.canRefresh()).toBeTruthy();
+    });
+
+    it('should renew the access token before expiration', function() {
+	$httpBackend.expectPOST('/api/refresh', {
+	    refreshToken : 'refresh-1'
+	}).respond(response('access-2'));
+	$timeout.flush();
+	$httpBackend.flush();
+	expect(subject.getAccessToken()).toBe('access-2');
+	expect(subject.authenticationInfo.getRefreshToken()).toBe('refresh-1');
+	expect(subject.isAuthenticated()).toBeTruthy();
+    });
+
+    it('should wait for a distant expiration in several steps', function() {
+	subject.authenticationInfo.expiresAt = new Date(new Date().getTime() + 30 * 24 * 3600 * 1000);
+	tokenRefresher.schedule();
+	$timeout.flush(2147483647);
+	expect(subject.getAccessToken()).toBe('access-1');
+	expect(function() {
+	    $timeout.verifyNoPendingTasks();
+	}).toThrow();
+	tokenRefresher.cancel();
+    });
+
+    it('should handle the failure of the logout after a failed renewal', inject(function($log) {
+	$httpBackend.expectPOST('/api/refresh').respond(401);
+	$httpBackend.expectPOST('/api/logout').respond(500);
+	tokenRefresher.refresh();
+	$httpBackend.flush();
+	expect(subject.isAuthenticated()).toBeFalsy();
+	expect($log.warn.logs.length).toBe(1);
+    }));
+
+    it('should share the pending renewal', function() {
+	$httpBackend.expectPOST('/api/refresh').respond(response('access-2', 'refresh-2'));
+	var promise = tokenRefresher.refresh();
+	expect(tokenRefresher.refresh()).toBe(promise);
+	$httpBackend.flush();
+	expect(subject.authenticationInfo.getRefreshToken()).toBe('refresh-2');
+    });
+
+    it('should log out when the renewal fails', function() {
+	var rejected = false;
+	$httpBackend.expectPOST('/api/refresh').respond(401);
+	$httpBackend.expectPOST('/api/logout').respond(200);
+	tokenRefresher.refresh().then(null, function() {
+	    rejected = true;
+	});
+	$httpBackend.flush();
+	expect(rejected).toBeTruthy();
+	expect(subject.isAuthenticated()).toBeFalsy();
+	expect($location.path()).toBe('/login');
+	expect(tokenRefresher.canRefresh()).toBeFalsy();
+    });
+
+    it('should renew the access token on 401 then replay the request', inject(function($http) {
+	var books;
+	$http.get('/api/books').then(function(res) {
+	    books = res.data;
+	});
+	$httpBackend.expectGET('/api/books').respond(401);
+	$httpBackend.expectPOST('/api/refresh').respond(response('access-2'));
+	$httpBackend.expectGET('/api/books', function(headers) {
+	    return headers.Authorization === 'Bearer access-2';
+	}).respond([ 'book' ]);
+	$httpBackend.flush();
+	expect(books).toEqual([ 'book' ]);
+    }));
+
+});
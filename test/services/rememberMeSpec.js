@@ -0,0 +1,99 @@
+'use strict';
+
+describe('Subject remember me', function() {
+
+    var $httpBackend, subject, sessionDAO, sid = 'angularShiroRemeber';
+
+    function response(rememberMe) {
+	return {
+	    info : {
+		authc : {
+		    principal : 'edegas',
+		    credentials : {}
+		},
+		authz : {
+		    roles : [ 'GUEST' ],
+		    permissions : []
+		},
+		rememberMe : rememberMe
+	    }
+	};
+    }
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.setRememberMeOptions({
+	    api : '/api/remember-me'
+	});
+    }));
+
+    beforeEach(inject(function(_$httpBackend_, _subject_) {
+	$httpBackend = _$httpBackend_;
+	subject = _subject_;
+	sessionDAO = new SessionDAO();
+    }));
+
+    afterEach(function() {
+	$httpBackend.verifyNoOutstandingExpectation();
+	$httpBackend.verifyNoOutstandingRequest();
+	subject.logout();
+    });
+
+    function login(rememberMe) {
+	$httpBackend.expectPOST('/api/authenticate').respond(response(rememberMe));
+	subject.login(new UsernamePasswordToken('edegas', 'secret', true));
+	$httpBackend.flush();
+    }
+
+    it('should only store the token issued by the backend', function() {
+	login({
+	    token : 'remember-1',
+	    expiresIn : 3600
+	});
+	expect(subject.isRemembered()).toBeTruthy();
+	var rememberMe = sessionDAO.readSession(sid).getAttribute('rememberMe');
+	expect(rememberMe.token).toBe('remember-1');
+	expect(rememberMe.expiresAt > new Date().getTime()).toBeTruthy();
+	expect(document.cookie).not.toContain('secret');
+    });
+
+    it('should not remember the Subject without token', function() {
+	login(undefined);
+	expect(subject.isRemembered()).toBeFalsy();
+	expect(sessionDAO.readSession(sid)).toBeNull();
+    });
+
+    it('should exchange then rotate the token', function() {
+	login('remember-1');
+	subject.clear();
+	$httpBackend.expectPOST('/api/remember-me', {
+	    token : {
+		principal : 'remember-1',
+		credentials : 'remember-1'
+	    }
+	}).respond(response('remember-2'));
+	subject.rememberMe(sid);
+	$httpBackend.flush();
+	expect(subject.isAuthenticated()).toBeTruthy();
+	expect(subject.getPrincipal()).toBe('edegas');
+	expect(sessionDAO.readSession(sid).getAttribute('rememberMe').token).toBe('remember-2');
+    });
+
+    it('should forget the token rejected by the backend', function() {
+	login('remember-1');
+	subject.clear();
+	$httpBackend.expectPOST('/api/remember-me').respond(401);
+	subject.rememberMe(sid);
+	$httpBackend.flush();
+	expect(subject.isAuthenticated()).toBeFalsy();
+	expect(sessionDAO.readSession(sid)).toBeNull();
+    });
+
+    it('should drop the credentials stored by the previous versions', function() {
+	var session = new Session();
+	session.setAttribute('token', new UsernamePasswordToken('edegas', 'secret', true).serialize());
+	sessionDAO.create(session, sid);
+	expect(subject.rememberMe(sid)).toBe(false);
+	expect(sessionDAO.readSession(sid)).toBeNull();
+    });
+
+});
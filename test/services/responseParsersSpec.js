@@ -0,0 +1,164 @@
+'use strict';
+
+describe('responseParsers', function() {
+
+    var responseParsers;
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.addResponseParser('legacy', {
+	    principal : 'account.login',
+	    credentials : 'account',
+	    roles : 'account.groups',
+	    permissions : function(data) {
+		return data.account.rights.split(',');
+	    },
+	    required : [ 'principal', 'roles' ]
+	});
+    }));
+
+    beforeEach(inject(function(_responseParsers_) {
+	responseParsers = _responseParsers_;
+    }));
+
+    function errorOf(parser, data) {
+	try {
+	    parser.parse(data);
+	} catch (e) {
+	    return e;
+	}
+	return null;
+    }
+
+    it('should resolve the native parser by default', inject(function(authenticationResponseParser) {
+	expect(responseParsers.get()).toBe(authenticationResponseParser);
+	expect(responseParsers.get('native')).toBe(authenticationResponseParser);
+	expect(responseParsers.get('authenticationResponseParser')).toBe(authenticationResponseParser);
+    }));
+
+    it('should name the missing field of a native response', function() {
+	var error = errorOf(responseParsers.get('native'), {
+	    info : {
+		authc : {
+		    principal : 'edegas'
+		}
+	    }
+	});
+	expect(error.name).toBe('ParseException');
+	expect(error.message).toContain('\'info.authc.credentials\'');
+    });
+
+    it('should parse the flat layout', function() {
+	var infos = responseParsers.get('flat').parse({
+	    user : {
+		login : 'edegas'
+	    },
+	    roles : [ 'ADMIN' ],
+	    permissions : [ 'book:*' ],
+	    token : 'access-token'
+	});
+	expect(infos.authc.getPrincipal().login).toBe('edegas');
+	expect(infos.authc.getAccessToken()).toBe('access-token');
+	expect(infos.authz.getRoles()).toEqual([ 'ADMIN' ]);
+	expect(infos.authz.getPermissions()).toEqual([ 'book:*' ]);
+    });
+
+    it('should parse the HAL and JSON:API envelopes', function() {
+	var hal = responseParsers.get('hal').parse({
+	    _embedded : {
+		user : 'edegas'
+	    },
+	    roles : [ 'ADMIN' ],
+	    _links : {}
+	});
+	expect(hal.authc.getPrincipal()).toBe('edegas');
+	expect(hal.authz.getRoles()).toEqual([ 'ADMIN' ]);
+	expect(hal.authz.getPermissions()).toEqual([]);
+
+	var jsonapi = responseParsers.get('jsonapi').parse({
+	    data : {
+		type : 'sessions',
+		attributes : {
+		    principal : 'edegas',
+		    roles : [ 'GUEST' ],
+		    accessToken : 'access-token',
+		    expiresIn : 600
+		}
+	    }
+	});
+	expect(jsonapi.authc.getPrincipal()).toBe('edegas');
+	expect(jsonapi.authc.getExpiresAt()).not.toBeNull();
+	expect(jsonapi.authz.getRoles()).toEqual([ 'GUEST' ]);
+    });
+
+    it('should extend a built in layout', function() {
+	var parser = responseParsers.get({
+	    format : 'jsonapi',
+	    principal : 'data.id'
+	});
+	var infos = parser.parse({
+	    data : {
+		id : '42',
+		attributes : {
+		    roles : [ 'GUEST' ]
+		}
+	    }
+	});
+	expect(infos.authc.getPrincipal()).toBe('42');
+	expect(infos.authz.getRoles()).toEqual([ 'GUEST' ]);
+    });
+
+    it('should use the registered mappings', function() {
+	var parser = responseParsers.get('legacy');
+	var infos = parser.parse({
+	    account : {
+		login : 'edegas',
+		groups : [ 'ADMIN' ],
+		rights : 'book:view,book:edit'
+	    }
+	});
+	expect(infos.authc.getPrincipal()).toBe('edegas');
+	expect(infos.authz.getPermissions()).toEqual([ 'book:view', 'book:edit' ]);
+	var error = errorOf(parser, {
+	    account : {
+		login : 'edegas',
+		rights : ''
+	    }
+	});
+	expect(error.message).toContain('\'account.groups\' (roles)');
+    });
+
+    it('should reject unknown parsers', function() {
+	expect(function() {
+	    responseParsers.get('xml');
+	}).toThrow();
+	expect(function() {
+	    responseParsers.get({
+		format : 'xml'
+	    });
+	}).toThrow();
+    });
+
+});
+
+describe('responseParsers with a realm parser', function() {
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.addRealm({
+	    api : '/api/authenticate',
+	    parser : 'flat'
+	});
+    }));
+
+    it('should parse the realm response', inject(function($httpBackend, subject) {
+	$httpBackend.expectPOST('/api/authenticate').respond({
+	    user : 'edegas',
+	    roles : [ 'ADMIN' ]
+	});
+	subject.login(new UsernamePasswordToken('edegas', 'secret'));
+	$httpBackend.flush();
+	expect(subject.isAuthenticated()).toBeTruthy();
+	expect(subject.hasRole('ADMIN')).toBeTruthy();
+	subject.logout();
+    }));
+
+});
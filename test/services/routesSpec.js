@@ -0,0 +1,84 @@
+'use strict';
+
+describe('routeGuard', function() {
+
+    var $rootScope, $location, $timeout, subject, routeGuard;
+
+    var admin = {
+	originalPath : '/admin',
+	templateUrl : 'admin.html',
+	shiro : {
+	    roles : [ 'ADMIN' ],
+	    perms : 'user:manage'
+	}
+    };
+
+    beforeEach(module('angularShiro', function($provide, angularShiroConfigProvider) {
+	$provide.value('$route', {});
+	angularShiroConfigProvider.setDebug(true);
+    }));
+
+    beforeEach(inject(function(_$rootScope_, _$location_, _$timeout_, _subject_, _routeGuard_) {
+	$rootScope = _$rootScope_;
+	$location = _$location_;
+	$timeout = _$timeout_;
+	subject = _subject_;
+	routeGuard = _routeGuard_;
+    }));
+
+    function enter(route) {
+	return $rootScope.$broadcast('$routeChangeStart', route, null).defaultPrevented;
+    }
+
+    it('should read the requirements of the route', function() {
+	expect(routeGuard.getRequirements(admin)).toEqual({
+	    authc : true,
+	    roles : [ 'ADMIN' ],
+	    perms : [ 'user:manage' ]
+	});
+	expect(routeGuard.getRequirements({
+	    templateUrl : 'home.html'
+	}).authc).toBeFalsy();
+    });
+
+    it('should let the unknown and unguarded routes through without tracing', inject(function($log) {
+	$log.reset();
+	expect(routeGuard.check(undefined)).toBeTruthy();
+	expect(enter(undefined)).toBeFalsy();
+	expect(enter({
+	    originalPath : '/home'
+	})).toBeFalsy();
+	expect($log.debug.logs.length).toBe(0);
+    }));
+
+    it('should cancel the route change and redirect to the login path', function() {
+	expect(enter({
+	    templateUrl : 'home.html'
+	})).toBeFalsy();
+	expect(enter(admin)).toBeTruthy();
+	$timeout.flush();
+	expect($location.path()).toBe('/login');
+    });
+
+    it('should check the roles then the permissions', function() {
+	subject.authenticated = true;
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'ADMIN' ], []));
+	expect(enter(admin)).toBeTruthy();
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'ADMIN' ], [ 'user:*' ]));
+	expect(enter(admin)).toBeFalsy();
+    });
+
+    it('should trace the decisions', inject(function($log) {
+	subject.authenticated = true;
+	subject.authenticationInfo = new AuthenticationInfo('edegas', {});
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'ADMIN' ], []));
+	$log.reset();
+	enter(admin);
+	var logs = $log.debug.logs.map(function(log) {
+	    return log[0];
+	});
+	expect(logs).toContain('[angular-shiro] route /admin {"authc":true,"roles":["ADMIN"],"perms":["user:manage"]}'
+		+ ' denied for "edegas"');
+    }));
+
+});
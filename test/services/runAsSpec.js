@@ -0,0 +1,110 @@
+'use strict';
+
+describe('Subject run as', function() {
+
+    var $httpBackend, subject, config;
+
+    function response(principal, roles, accessToken) {
+	return {
+	    info : {
+		authc : {
+		    principal : principal,
+		    credentials : {},
+		    accessToken : accessToken
+		},
+		authz : {
+		    roles : roles,
+		    permissions : []
+		}
+	    }
+	};
+    }
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.setRunAsOptions({
+	    api : '/api/run-as'
+	});
+    }));
+
+    beforeEach(inject(function(_$httpBackend_, _subject_, angularShiroConfig) {
+	$httpBackend = _$httpBackend_;
+	subject = _subject_;
+	config = angularShiroConfig;
+    }));
+
+    afterEach(function() {
+	$httpBackend.verifyNoOutstandingExpectation();
+	$httpBackend.verifyNoOutstandingRequest();
+	subject.logout();
+    });
+
+    function login() {
+	$httpBackend.expectPOST('/api/authenticate').respond(response('support', [ 'SUPPORT' ], 'support-token'));
+	subject.login(new UsernamePasswordToken('support', 'secret'));
+	$httpBackend.flush();
+    }
+
+    function runAs() {
+	$httpBackend.expectPOST('/api/run-as', {
+	    principals : 'edegas'
+	}).respond(response('edegas', [ 'GUEST' ]));
+	subject.runAs('edegas');
+	$httpBackend.flush();
+    }
+
+    it('should require an authenticated Subject', function() {
+	expect(function() {
+	    subject.runAs('edegas');
+	}).toThrow();
+    });
+
+    it('should assume the identity of the user', function() {
+	login();
+	runAs();
+	expect(subject.isRunAs()).toBeTruthy();
+	expect(subject.getPrincipal()).toBe('edegas');
+	expect(subject.getPreviousPrincipals()).toBe('support');
+	expect(subject.hasRole('GUEST')).toBeTruthy();
+	expect(subject.hasRole('SUPPORT')).toBeFalsy();
+	expect(subject.getAccessToken()).toBe('support-token');
+    });
+
+    it('should restore the previous identity on release', function() {
+	login();
+	runAs();
+	expect(subject.releaseRunAs()).toBe('edegas');
+	expect(subject.isRunAs()).toBeFalsy();
+	expect(subject.getPrincipal()).toBe('support');
+	expect(subject.hasRole('SUPPORT')).toBeTruthy();
+	expect(subject.getPreviousPrincipals()).toBeNull();
+	expect(subject.releaseRunAs()).toBeNull();
+    });
+
+    it('should keep the identities across a page reload', function() {
+	login();
+	runAs();
+	subject.clear();
+	expect(subject.restoreAuth(config)).toBeTruthy();
+	expect(subject.getPrincipal()).toBe('edegas');
+	expect(subject.getPreviousPrincipals()).toBe('support');
+    });
+
+    it('should keep the identity when the user can not be fetched', function() {
+	login();
+	$httpBackend.expectPOST('/api/run-as').respond(403);
+	subject.runAs('edegas');
+	$httpBackend.flush();
+	expect(subject.isRunAs()).toBeFalsy();
+	expect(subject.getPrincipal()).toBe('support');
+    });
+
+    it('should drop the previous identities on logout', function() {
+	login();
+	runAs();
+	$httpBackend.expectPOST('/api/logout').respond(200);
+	subject.logout();
+	$httpBackend.flush();
+	expect(subject.isRunAs()).toBeFalsy();
+    });
+
+});
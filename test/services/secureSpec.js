@@ -0,0 +1,107 @@
+'use strict';
+
+describe('secureService', function() {
+
+    var $rootScope, subject, invoiceService;
+
+    beforeEach(module('angularShiro', function($provide, angularShiroConfigProvider) {
+	$provide.factory('invoiceService', [ '$q', function($q) {
+	    return {
+		removed : [],
+		remove : function(id) {
+		    this.removed.push(id);
+		    return id;
+		},
+		approve : function(id) {
+		    return $q.when(id);
+		},
+		list : function() {
+		    return [];
+		}
+	    };
+	} ]);
+	angularShiroConfigProvider.secureService('invoiceService', {
+	    remove : 'perms[invoice:delete]',
+	    approve : [ 'roles[MANAGER]', 'perms[invoice:approve]' ]
+	}, [ 'approve' ]);
+    }));
+
+    beforeEach(inject(function(_$rootScope_, _subject_, _invoiceService_) {
+	$rootScope = _$rootScope_;
+	subject = _subject_;
+	invoiceService = _invoiceService_;
+    }));
+
+    function thrown(fn) {
+	try {
+	    fn();
+	} catch (e) {
+	    return e;
+	}
+	return null;
+    }
+
+    function approve(id) {
+	var result = {};
+	invoiceService.approve(id).then(function(value) {
+	    result.value = value;
+	}, function(error) {
+	    result.error = error;
+	});
+	$rootScope.$apply();
+	return result;
+    }
+
+    it('should throw when the Subject lacks the requirement of a method', function() {
+	var error = thrown(function() {
+	    invoiceService.remove(12);
+	});
+	expect(error instanceof UnauthenticatedException).toBeTruthy();
+	subject.authenticated = true;
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([], [ 'invoice:view' ]));
+	error = thrown(function() {
+	    invoiceService.remove(12);
+	});
+	expect(error instanceof UnauthorizedException).toBeTruthy();
+	expect(error.requirement.value).toBe('invoice:delete');
+	expect(invoiceService.removed).toEqual([]);
+	expect(invoiceService.list()).toEqual([]);
+    });
+
+    it('should call the method when the Subject meets the requirement', function() {
+	subject.authenticated = true;
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([], [ 'invoice:*' ]));
+	expect(invoiceService.remove(12)).toBe(12);
+	expect(invoiceService.removed).toEqual([ 12 ]);
+    });
+
+    it('should reject the promise of an asynchronous method', function() {
+	subject.authenticated = true;
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'MANAGER' ], [ 'invoice:view' ]));
+	var result = approve(12);
+	expect(result.error instanceof UnauthorizedException).toBeTruthy();
+	expect(result.error.requirement.value).toBe('invoice:approve');
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'MANAGER' ], [ 'invoice:approve' ]));
+	expect(approve(12).value).toBe(12);
+    });
+
+});
+
+describe('secureService with an unsupported requirement', function() {
+
+    beforeEach(module('angularShiro', function($provide, angularShiroConfigProvider) {
+	$provide.value('reportService', {
+	    list : angular.noop
+	});
+	angularShiroConfigProvider.secureService('reportService', {
+	    list : 'anon'
+	});
+    }));
+
+    it('should refuse the requirement', inject(function($injector) {
+	expect(function() {
+	    $injector.get('reportService');
+	}).toThrow('[SecureService] Unsupported requirement \'anon\' on reportService.list, expected authc, perms[...] or roles[...].');
+    }));
+
+});
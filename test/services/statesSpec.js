@@ -0,0 +1,120 @@
+'use strict';
+
+describe('stateGuard', function() {
+
+    var $rootScope, $state, subject, stateGuard;
+
+    var states = {
+	'home' : {
+	    name : 'home'
+	},
+	'admin' : {
+	    name : 'admin',
+	    data : {
+		roles : [ 'ADMIN' ]
+	    }
+	},
+	'admin.users' : {
+	    name : 'admin.users',
+	    data : {
+		shiro : {
+		    perms : 'user:manage'
+		}
+	    }
+	},
+	'reports' : {
+	    name : 'reports',
+	    parent : 'home',
+	    shiro : {
+		authc : true
+	    }
+	}
+    };
+
+    beforeEach(module('angularShiro', function($provide, angularShiroConfigProvider) {
+	$provide.value('$state', {
+	    get : function(name) {
+		return states[name];
+	    },
+	    go : jasmine.createSpy('go')
+	});
+	angularShiroConfigProvider.setLoginState('login');
+    }));
+
+    beforeEach(inject(function(_$rootScope_, _$state_, _subject_, _stateGuard_) {
+	$rootScope = _$rootScope_;
+	$state = _$state_;
+	subject = _subject_;
+	stateGuard = _stateGuard_;
+    }));
+
+    function enter(name, params) {
+	return $rootScope.$broadcast('$stateChangeStart', states[name], params || {}).defaultPrevented;
+    }
+
+    it('should merge the requirements of the parent states', function() {
+	expect(stateGuard.getRequirements(states['admin.users'])).toEqual({
+	    authc : true,
+	    roles : [ 'ADMIN' ],
+	    perms : [ 'user:manage' ]
+	});
+	expect(stateGuard.getRequirements(states.reports).authc).toBeTruthy();
+	expect(stateGuard.getRequirements(states.home).authc).toBeFalsy();
+    });
+
+    it('should redirect to the login state and resume after login', function() {
+	expect(enter('home')).toBeFalsy();
+	expect(enter('admin.users', {
+	    id : 12
+	})).toBeTruthy();
+	expect($state.go).toHaveBeenCalledWith('login');
+	expect(stateGuard.target).toEqual({
+	    state : 'admin.users',
+	    params : {
+		id : 12
+	    }
+	});
+	expect(stateGuard.resume()).toBeTruthy();
+	expect($state.go).toHaveBeenCalledWith('admin.users', {
+	    id : 12
+	});
+	expect(stateGuard.target).toBeNull();
+    });
+
+    it('should deny the states the Subject is not authorized to enter', function() {
+	subject.authenticated = true;
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'ADMIN' ], []));
+	expect(enter('admin')).toBeFalsy();
+	expect(enter('reports')).toBeFalsy();
+	expect(enter('admin.users')).toBeTruthy();
+	expect($state.go).not.toHaveBeenCalled();
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'ADMIN' ], [ 'user:*' ]));
+	expect(enter('admin.users')).toBeFalsy();
+    });
+
+});
+
+describe('stateGuard with an unauthorized path', function() {
+
+    beforeEach(module('angularShiro', function($provide, angularShiroConfigProvider) {
+	$provide.value('$state', {
+	    get : angular.noop,
+	    go : jasmine.createSpy('go')
+	});
+	angularShiroConfigProvider.setUnauthorizedPath('/access-denied');
+    }));
+
+    it('should apply the unauthorized path to $location', inject(function($rootScope, $location, subject) {
+	subject.authenticated = true;
+	subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([], []));
+	var event = $rootScope.$broadcast('$stateChangeStart', {
+	    name : 'audit',
+	    data : {
+		perms : [ 'audit:view' ]
+	    }
+	}, {});
+	expect(event.defaultPrevented).toBeTruthy();
+	expect($location.path()).toBe('/access-denied');
+    }));
+
+});
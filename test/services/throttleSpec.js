@@ -0,0 +1,112 @@
+'use strict';
+
+describe('LoginThrottle', function() {
+
+    var $httpBackend, subject, config, sessionDAO;
+
+    var response = {
+	info : {
+	    authc : {
+		principal : 'edegas',
+		credentials : {}
+	    },
+	    authz : {
+		roles : [],
+		permissions : []
+	    }
+	}
+    };
+
+    beforeEach(module('angularShiro', function(angularShiroConfigProvider) {
+	angularShiroConfigProvider.setThrottleOptions({
+	    backoff : 2,
+	    maxBackoff : 30,
+	    maxAttempts : 3,
+	    lockout : 60
+	});
+    }));
+
+    beforeEach(inject(function(_$httpBackend_, _subject_, angularShiroConfig) {
+	$httpBackend = _$httpBackend_;
+	subject = _subject_;
+	config = angularShiroConfig;
+	sessionDAO = new SessionDAO();
+    }));
+
+    afterEach(function() {
+	$httpBackend.verifyNoOutstandingExpectation();
+	$httpBackend.verifyNoOutstandingRequest();
+	subject.loginThrottle.onSuccess(new UsernamePasswordToken('edegas'));
+	subject.logout();
+    });
+
+    function fail(status) {
+	$httpBackend.expectPOST('/api/authenticate').respond(status);
+	subject.login(new UsernamePasswordToken('edegas', 'wrong'));
+	$httpBackend.flush();
+    }
+
+    // moves the recorded failures back in time
+    function elapse(seconds) {
+	var session = sessionDAO.readSession(config.throttleSid);
+	var attempts = session.getAttribute('attempts');
+	angular.forEach(attempts, function(attempt) {
+	    attempt.last -= seconds * 1000;
+	});
+	session.setAttribute('attempts', attempts);
+	sessionDAO.updateSid(session);
+    }
+
+    it('should double the wait after each failure', function() {
+	fail(401);
+	expect(subject.getLoginWaitTime('edegas')).toBe(2);
+	elapse(2);
+	fail(401);
+	expect(subject.getLoginWaitTime('edegas')).toBe(4);
+	expect(subject.getLoginWaitTime('rmonet')).toBe(0);
+    });
+
+    it('should reject the attempts without calling the backend', function() {
+	var error;
+	fail(401);
+	subject.login(new UsernamePasswordToken('edegas', 'secret')).then(null, function(e) {
+	    error = e;
+	});
+	inject(function($rootScope) {
+	    $rootScope.$apply();
+	});
+	expect(error.name).toBe('ExcessiveAttemptsException');
+	expect(error.remaining).toBe(2);
+	expect(error.locked).toBeFalsy();
+    });
+
+    it('should lock the principal out then forget its failures', function() {
+	fail(401);
+	elapse(2);
+	fail(401);
+	elapse(4);
+	fail(403);
+	expect(subject.loginThrottle.isLocked('edegas')).toBeTruthy();
+	expect(subject.getLoginWaitTime('edegas')).toBe(60);
+	elapse(60);
+	expect(subject.loginThrottle.isLocked('edegas')).toBeFalsy();
+	fail(401);
+	expect(subject.getLoginWaitTime('edegas')).toBe(2);
+    });
+
+    it('should not count the network and server errors', function() {
+	fail(0);
+	fail(503);
+	expect(subject.getLoginWaitTime('edegas')).toBe(0);
+    });
+
+    it('should forget the failures on success', function() {
+	fail(401);
+	elapse(2);
+	$httpBackend.expectPOST('/api/authenticate').respond(response);
+	subject.login(new UsernamePasswordToken('edegas', 'secret'));
+	$httpBackend.flush();
+	expect(sessionDAO.readSession(config.throttleSid)).toBeNull();
+    });
+
+});
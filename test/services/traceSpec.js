@@ -0,0 +1,42 @@
+'use strict';
+
+describe('angularShiroTracer', function() {
+
+    var $scope, $compile, $log, subject;
+
+    function setUp(debug) {
+	module('angularShiro', function(angularShiroConfigProvider) {
+	    angularShiroConfigProvider.setDebug(debug);
+	});
+	inject(function($rootScope, _$compile_, _$log_, _subject_) {
+	    $scope = $rootScope.$new();
+	    $compile = _$compile_;
+	    $log = _$log_;
+	    subject = _subject_;
+	    subject.authenticated = true;
+	    subject.authenticationInfo = new AuthenticationInfo('edegas', {});
+	    subject.authorizer.setAuthorizationInfo(new AuthorizationInfo([ 'ACCOUNTANT' ], [ 'report:view' ]));
+	    $log.reset();
+	});
+    }
+
+    it('should log the decisions of the directives in debug mode', function() {
+	setUp(true);
+	$compile('<div><div has-role="ACCOUNTANT">Hi</div></div>')($scope);
+	$compile('<div><div has-permission="\'report:export:42\'">Export</div></div>')($scope);
+	$scope.$apply();
+	var logs = $log.debug.logs;
+	expect(logs[0][0]).toBe('[angular-shiro] has-role "ACCOUNTANT" granted for "edegas"');
+	expect(logs[1][0]).toBe('[angular-shiro] has-permission "report:export:42" denied for "edegas"');
+	expect(logs[2][0].permission).toBe('report:export:42');
+	expect(logs[2][0].evaluations[0].parts[1].reason).toBe('differs');
+    });
+
+    it('should log nothing otherwise', function() {
+	setUp(false);
+	$compile('<div><div has-role="ACCOUNTANT">Hi</div></div>')($scope);
+	$scope.$apply();
+	expect($log.debug.logs.length).toBe(0);
+    });
+
+});